@@ -1,49 +1,629 @@
 #!/usr/bin/env node
 
-const { spawn, exec } = require('child_process');
+const { spawn, exec, execFile } = require('child_process');
+const EventEmitter = require('events');
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
 const os = require('os');
 
-class ScreenRecorder {
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const PRORES_PROFILES = ['proxy', 'lt', 'standard', 'hq'];
+const QUALITY_PRESETS = ['draft', 'balanced', 'archive'];
+// Length of the rolling segments kept by --replay, in seconds
+const REPLAY_SEGMENT_TIME = 2;
+// Video bitrate cap of a stream without --bitrate, and the seconds a
+// stream has to run to count as connected
+const STREAM_MAX_BITRATE = '4500k';
+const STREAM_STABLE_TIME = 10;
+// Level below which --stop-on-silence counts the input as silent
+const SILENCE_THRESHOLD = '-50dB';
+// Exit codes of the CLI, listed in the README
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,           // Anything unexpected
+    usage: 2,           // Invalid arguments or option combinations
+    dependencies: 3,    // Required tools are missing
+    capture: 4,         // The capture failed or could not be started
+    finalize: 5,        // Joining or remuxing the segments, or post-processing, failed
+    control: 6,         // No recording to control, or one is already running
+    diskFull: 7         // Stopped early because the output disk ran low
+};
+// ffmpeg prefixes its log lines with their level, so warnings and errors
+// are told apart from progress and informational output. Below the info
+// level the progress line is only printed with -stats.
+const FFMPEG_LOG_ARGS = ['-loglevel', 'level+warning', '-stats'];
+// Events a recording handle passes on from the recorder
+const SESSION_EVENTS = ['start', 'progress', 'countdown', 'message', 'warning', 'error', 'paused', 'resumed', 'marker', 'segment', 'clip', 'stopped', 'processed', 'finished'];
+
+// Video encoders: valid CRF range, accepted --preset values, settings for
+// each quality preset and the encoder options they turn into
+const VIDEO_ENCODERS = {
+    libx264: {
+        crf: [0, 51],
+        presets: X264_PRESETS,
+        pixelFormat: 'yuv420p',
+        quality: {
+            draft: { preset: 'ultrafast', crf: 28 },
+            balanced: { preset: 'veryfast', crf: 23 },
+            archive: { preset: 'medium', crf: 18 }
+        },
+        params: ({ preset, crf, bitrate }) => [['preset', preset], bitrate ? ['b', bitrate] : ['crf', crf]]
+    },
+    libx265: {
+        crf: [0, 51],
+        presets: X264_PRESETS,
+        pixelFormat: 'yuv420p',
+        quality: {
+            draft: { preset: 'ultrafast', crf: 32 },
+            balanced: { preset: 'veryfast', crf: 28 },
+            archive: { preset: 'medium', crf: 22 }
+        },
+        params: ({ preset, crf, bitrate }) => [['preset', preset], bitrate ? ['b', bitrate] : ['crf', crf]]
+    },
+    'libvpx-vp9': {
+        crf: [0, 63],
+        presets: ['realtime', 'good', 'best'],
+        pixelFormat: 'yuv420p',
+        quality: {
+            draft: { preset: 'realtime', crf: 40, speed: 8 },
+            balanced: { preset: 'realtime', crf: 32, speed: 6 },
+            archive: { preset: 'good', crf: 24, speed: 4 }
+        },
+        // Constant quality needs a zero target bitrate
+        params: ({ preset, crf, bitrate, speed }) => [
+            ['deadline', preset], ['cpu-used', speed], ['row-mt', 1],
+            ...(bitrate ? [['b', bitrate]] : [['crf', crf], ['b', 0]])
+        ]
+    },
+    libsvtav1: {
+        crf: [0, 63],
+        presets: Array.from({ length: 14 }, (_, n) => String(n)),
+        pixelFormat: 'yuv420p',
+        quality: {
+            draft: { preset: '12', crf: 40 },
+            balanced: { preset: '10', crf: 32 },
+            archive: { preset: '8', crf: 26 }
+        },
+        params: ({ preset, crf, bitrate }) => [['preset', preset], bitrate ? ['b', bitrate] : ['crf', crf]]
+    },
+    ffv1: {
+        // Lossless, so there is nothing to tune
+        crf: null,
+        presets: [],
+        bitrate: false,
+        pixelFormat: null,
+        quality: { draft: {}, balanced: {}, archive: {} },
+        params: () => [['level', 3]]
+    },
+    prores_ks: {
+        crf: null,
+        presets: PRORES_PROFILES,
+        bitrate: false,
+        pixelFormat: 'yuv422p10le',
+        quality: {
+            draft: { preset: 'proxy' },
+            balanced: { preset: 'standard' },
+            archive: { preset: 'hq' }
+        },
+        params: ({ preset }) => [['profile', PRORES_PROFILES.indexOf(preset)]]
+    }
+};
+
+const AUDIO_ENCODERS = {
+    aac: {
+        quality: { draft: { bitrate: '96k' }, balanced: { bitrate: '128k' }, archive: { bitrate: '192k' } },
+        params: ({ bitrate }) => [['b', bitrate]]
+    },
+    libopus: {
+        quality: { draft: { bitrate: '64k' }, balanced: { bitrate: '96k' }, archive: { bitrate: '160k' } },
+        params: ({ bitrate }) => [['b', bitrate]]
+    },
+    libmp3lame: {
+        quality: { draft: { bitrate: '128k' }, balanced: { bitrate: '192k' }, archive: { bitrate: '320k' } },
+        params: ({ bitrate }) => [['b', bitrate]]
+    },
+    libvorbis: {
+        // Vorbis is tuned by quality level unless a bitrate is asked for
+        quality: { draft: { level: 3 }, balanced: { level: 6 }, archive: { level: 8 } },
+        params: ({ bitrate, level }) => bitrate ? [['b', bitrate]] : [['q', level]]
+    },
+    flac: {
+        bitrate: false,
+        quality: { draft: {}, balanced: {}, archive: {} },
+        params: () => [['compression_level', 8]]
+    },
+    alac: {
+        bitrate: false,
+        quality: { draft: {}, balanced: {}, archive: {} },
+        params: () => []
+    },
+    pcm_s16le: {
+        bitrate: false,
+        quality: { draft: {}, balanced: {}, archive: {} },
+        params: () => []
+    },
+    pcm_s24le: {
+        bitrate: false,
+        quality: { draft: {}, balanced: {}, archive: {} },
+        params: () => []
+    }
+};
+
+// Short names accepted by --codec and --audio-codec
+const CODEC_ALIASES = {
+    h264: 'libx264',
+    x264: 'libx264',
+    h265: 'libx265',
+    hevc: 'libx265',
+    x265: 'libx265',
+    vp9: 'libvpx-vp9',
+    av1: 'libsvtav1',
+    prores: 'prores_ks',
+    opus: 'libopus',
+    vorbis: 'libvorbis',
+    mp3: 'libmp3lame',
+    pcm: 'pcm_s16le'
+};
+
+// Capture backends: the session they run in (null for any), the tools
+// they need and what they can record besides the full screen. Only
+// backends whose video passes through an ffmpeg stage can use the segment
+// muxer, which --replay also needs.
+const BACKENDS = {
+    x11grab: {
+        description: 'ffmpeg x11grab',
+        session: 'x11',
+        tools: ['ffmpeg'],
+        modes: ['area', 'window', 'monitor', 'audio', 'replay', 'stream', 'overlay'],
+        segmentMuxer: true,
+        build: (recorder, options) => recorder.buildX11Command(options)
+    },
+    'wf-recorder': {
+        description: 'wf-recorder (wlroots compositors)',
+        session: 'wayland',
+        tools: ['wf-recorder'],
+        modes: ['area', 'monitor', 'audio', 'replay', 'stream', 'overlay'],
+        segmentMuxer: false,
+        build: (recorder, options) => recorder.buildWaylandCommand(options)
+    },
+    kmsgrab: {
+        description: 'ffmpeg kmsgrab (any session, needs CAP_SYS_ADMIN)',
+        session: null,
+        tools: ['ffmpeg'],
+        modes: ['area', 'audio', 'replay', 'stream', 'overlay'],
+        segmentMuxer: true,
+        build: (recorder, options) => recorder.buildKmsgrabCommand(options)
+    },
+    'wl-screenrec': {
+        description: 'wl-screenrec (wlroots compositors, hardware encoding)',
+        session: 'wayland',
+        tools: ['wl-screenrec'],
+        modes: ['area', 'monitor', 'audio'],
+        segmentMuxer: false,
+        build: (recorder, options) => recorder.buildWlScreenrecCommand(options)
+    },
+    'gpu-screen-recorder': {
+        description: 'gpu-screen-recorder (X11 and Wayland, hardware encoding)',
+        session: null,
+        tools: ['gpu-screen-recorder'],
+        modes: ['area', 'window', 'monitor', 'audio'],
+        segmentMuxer: false,
+        build: (recorder, options) => recorder.buildGpuScreenRecorderCommand(options)
+    },
+    pipewire: {
+        description: 'PipeWire screen cast node through GStreamer',
+        session: null,
+        tools: ['gst-launch-1.0', 'ffmpeg'],
+        modes: ['area', 'monitor', 'audio', 'replay', 'stream', 'overlay'],
+        segmentMuxer: true,
+        build: (recorder, options) => recorder.buildPipewireCommand(options)
+    }
+};
+
+// Codec names of the hardware encoding backends
+const HARDWARE_CODECS = {
+    'wl-screenrec': { libx264: 'avc', libx265: 'hevc', 'libvpx-vp9': 'vp9', libsvtav1: 'av1' },
+    'gpu-screen-recorder': { libx264: 'h264', libx265: 'hevc', 'libvpx-vp9': 'vp9', libsvtav1: 'av1', aac: 'aac', libopus: 'opus', flac: 'flac' }
+};
+
+// Distro families by the ID and ID_LIKE values of /etc/os-release
+const DISTRO_FAMILIES = {
+    arch: ['arch', 'manjaro', 'endeavouros'],
+    debian: ['debian', 'ubuntu', 'linuxmint', 'pop'],
+    fedora: ['fedora', 'rhel', 'centos'],
+    suse: ['opensuse', 'opensuse-leap', 'opensuse-tumbleweed', 'suse', 'sles']
+};
+
+const INSTALL_COMMANDS = {
+    arch: 'sudo pacman -S',
+    debian: 'sudo apt install',
+    fedora: 'sudo dnf install',
+    suse: 'sudo zypper install'
+};
+
+// Package providing each tool, where it isn't named after the tool
+const PACKAGES = {
+    xrandr: { arch: 'xorg-xrandr', debian: 'x11-xserver-utils' },
+    xwininfo: { arch: 'xorg-xwininfo', debian: 'x11-utils' },
+    pactl: { arch: 'libpulse', debian: 'pulseaudio-utils', fedora: 'pulseaudio-utils', suse: 'pulseaudio-utils' },
+    ffprobe: { arch: 'ffmpeg', debian: 'ffmpeg', fedora: 'ffmpeg', suse: 'ffmpeg' },
+    'notify-send': { arch: 'libnotify', debian: 'libnotify-bin', fedora: 'libnotify', suse: 'libnotify-tools' },
+    // The tools plus the pipewiresrc plugin
+    'gst-launch-1.0': {
+        arch: 'gstreamer gst-plugin-pipewire',
+        debian: 'gstreamer1.0-tools gstreamer1.0-pipewire',
+        fedora: 'gstreamer1 pipewire-gstreamer',
+        suse: 'gstreamer-utils gstreamer-plugin-pipewire'
+    }
+};
+
+// Output formats and the ffmpeg muxer that writes them
+const FORMAT_MUXERS = {
+    mp4: 'mp4',
+    mkv: 'matroska',
+    webm: 'webm',
+    avi: 'avi',
+    mov: 'mov',
+    mp3: 'mp3',
+    ogg: 'ogg',
+    wav: 'wav',
+    flac: 'flac',
+    aac: 'adts'
+};
+
+// Encoder arguments of the --screenshot image formats
+const IMAGE_ENCODERS = {
+    png: ['-c:v', 'png'],
+    jpg: ['-c:v', 'mjpeg', '-q:v', '2'],
+    jpeg: ['-c:v', 'mjpeg', '-q:v', '2'],
+    webp: ['-c:v', 'libwebp', '-quality', '90']
+};
+
+// --stream protocols, the muxer their URLs take and the codecs it carries
+const STREAM_PROTOCOLS = {
+    rtmp: { muxer: 'flv', video: ['libx264'], audio: ['aac'] },
+    rtmps: { muxer: 'flv', video: ['libx264'], audio: ['aac'] },
+    srt: { muxer: 'mpegts', video: ['libx264', 'libx265'], audio: ['aac', 'libopus', 'libmp3lame'] },
+    udp: { muxer: 'mpegts', video: ['libx264', 'libx265'], audio: ['aac', 'libopus', 'libmp3lame'] }
+};
+
+// Shapes of --overlay-shape, and how far --overlay-position keeps the
+// overlay from the edges in its corners
+const OVERLAY_SHAPES = ['rect', 'rounded', 'circle'];
+const OVERLAY_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const OVERLAY_MARGIN = 20;
+
+// Containers that take markers as chapters; the others only get the
+// .chapters.json and .chapters.vtt files
+const CHAPTER_FORMATS = ['mkv', 'webm', 'mp4', 'mov', 'mp3', 'ogg', 'flac'];
+
+// What --if-exists does when the output file is already there
+const EXISTS_POLICIES = ['increment', 'overwrite', 'fail'];
+// Placeholders of --name-template
+const NAME_PLACEHOLDERS = ['date', 'time', 'timestamp', 'mode', 'window', 'monitor', 'profile', 'n'];
+
+// Settings of config.json, .lrecrc and their profiles, with the option
+// each one sets. values lists what is accepted, either directly or for
+// the given recorder.
+const CONFIG_KEYS = {
+    outputDir: { type: 'path', description: 'Folder for recordings, instead of the XDG videos/music folder' },
+    nameTemplate: { type: 'string', description: 'Name of recordings without a file name, e.g. {date}_{mode}' },
+    ifExists: { type: 'string', values: EXISTS_POLICIES, description: 'When the output exists: increment, overwrite or fail' },
+    format: { type: 'string', values: recorder => recorder.supportedVideoFormats, description: 'File type of automatically named video recordings' },
+    audioFormat: { type: 'string', values: recorder => recorder.supportedAudioFormats, description: 'File type of automatically named audio recordings' },
+    imageFormat: { type: 'string', values: recorder => recorder.supportedImageFormats, description: 'File type of automatically named screenshots' },
+    framerate: { type: 'integer', min: 1, max: 240, description: 'Frames per second' },
+    quality: { type: 'string', values: QUALITY_PRESETS, description: 'Quality preset' },
+    codec: {
+        type: 'string',
+        values: [...Object.keys(VIDEO_ENCODERS), ...Object.keys(CODEC_ALIASES).filter(alias => VIDEO_ENCODERS[CODEC_ALIASES[alias]])],
+        description: 'Video codec'
+    },
+    crf: { type: 'integer', min: 0, max: 63, description: 'Constant quality, lower is better' },
+    preset: { type: 'string', description: 'Encoder speed preset' },
+    bitrate: { type: 'string', description: 'Video bitrate instead of CRF (e.g. 4M)' },
+    audioCodec: {
+        type: 'string',
+        values: [...Object.keys(AUDIO_ENCODERS), ...Object.keys(CODEC_ALIASES).filter(alias => AUDIO_ENCODERS[CODEC_ALIASES[alias]])],
+        description: 'Audio codec'
+    },
+    audioBitrate: { type: 'string', description: 'Audio bitrate (e.g. 192k)' },
+    audio: { type: 'string', values: ['none', 'mic', 'system', 'both'], description: 'Audio recorded with video' },
+    audioDevice: { type: 'string', description: 'Microphone, as for --audio-device' },
+    micVolume: { type: 'number', min: 0, description: 'Microphone volume multiplier' },
+    systemVolume: { type: 'number', min: 0, description: 'System audio volume multiplier' },
+    audioTracks: { type: 'string', values: ['mix', 'separate'], description: 'Mix -B sources or keep separate tracks' },
+    backend: { type: 'string', values: Object.keys(BACKENDS), description: 'Capture backend' },
+    monitor: { type: 'string', description: 'Monitor to record, name or number' },
+    delay: { type: 'duration', description: 'Countdown before recording starts' },
+    minFree: { type: 'size', description: 'Stop when the output disk gets this full' },
+    crashSafe: { type: 'boolean', description: 'Record mp4/mov/avi via Matroska' },
+    timelapseFps: { type: 'integer', min: 1, max: 120, description: 'Playback frame rate of timelapses' },
+    overlay: { type: 'string', description: 'Camera (/dev/video0), video file or stream shown over the recording' },
+    overlayPosition: { type: 'string', description: 'Corner of the overlay (top-left, ..., bottom-right) or X,Y' },
+    overlaySize: { type: 'string', description: 'Overlay width in pixels, or a share of the capture width (25%)' },
+    overlayShape: { type: 'string', values: OVERLAY_SHAPES, description: 'Overlay shape: rect, rounded or circle' },
+    overlayBorder: { type: 'string', description: 'Border around the overlay, WIDTH or WIDTH:COLOR' },
+    stream: { type: 'string', description: 'rtmp://, srt:// or udp:// URL to stream to' },
+    streamRetries: { type: 'integer', min: 0, max: 100, description: 'Reconnection attempts when a stream drops' },
+    denoise: { type: 'boolean', description: 'Remove background noise from the microphone' },
+    denoiseModel: { type: 'path', description: 'arnndn model (.rnnn) to denoise with instead of afftdn' },
+    noiseGate: { type: 'number', min: -90, max: 0, description: 'Mute the microphone below this level in dB' },
+    normalize: { type: 'number', min: -70, max: -5, description: 'Normalize loudness to this many LUFS after recording' },
+    onStart: { type: 'string', description: 'Shell command run when recording starts' },
+    onStop: { type: 'string', description: 'Shell command run when the capture stops' },
+    onFinish: { type: 'string', description: 'Shell command run once the recording is saved or has failed' },
+    notify: { type: 'boolean', description: 'Desktop notifications on start, save and failure' }
+};
+
+class ScreenRecorder extends EventEmitter {
     constructor() {
+        super();
         this.isWayland = process.env.XDG_SESSION_TYPE === 'wayland';
         this.supportedVideoFormats = ['mp4', 'mkv', 'avi', 'webm', 'mov'];
         this.supportedAudioFormats = ['mp3', 'ogg', 'wav', 'flac', 'aac'];
+        this.supportedImageFormats = ['png', 'jpg', 'jpeg', 'webp'];
+        // Codecs each container can hold, the first one is the default
+        this.containerCodecs = {
+            mp4: { video: ['libx264', 'libx265', 'libsvtav1'], audio: ['aac', 'libopus', 'libmp3lame'] },
+            mkv: {
+                video: ['libx264', 'libx265', 'libvpx-vp9', 'libsvtav1', 'ffv1'],
+                audio: ['aac', 'libopus', 'libvorbis', 'flac', 'libmp3lame', 'pcm_s16le', 'pcm_s24le']
+            },
+            webm: { video: ['libvpx-vp9', 'libsvtav1'], audio: ['libopus', 'libvorbis'] },
+            avi: { video: ['libx264'], audio: ['libmp3lame', 'pcm_s16le'] },
+            mov: { video: ['libx264', 'libx265', 'prores_ks'], audio: ['aac', 'alac', 'pcm_s16le', 'pcm_s24le'] },
+            mp3: { audio: ['libmp3lame'] },
+            ogg: { audio: ['libvorbis', 'libopus', 'flac'] },
+            wav: { audio: ['pcm_s16le', 'pcm_s24le'] },
+            flac: { audio: ['flac'] },
+            aac: { audio: ['aac'] }
+        };
         this.ffmpegProcess = null;
+        this.session = null;
     }
 
-    async checkDependencies() {
-        const dependencies = ['ffmpeg'];
-        
-        if (this.isWayland) {
-            dependencies.push('wf-recorder', 'pipewire', 'wireplumber', 'slurp');
-        } else {
-            dependencies.push('xrandr', 'pulseaudio');
+    // Status goes out as events so the recorder can be embedded; the CLI
+    // prints them in printEvents
+    notify(message) {
+        this.emit('message', message);
+    }
+
+    warn(message) {
+        this.emit('warning', message);
+    }
+
+    // An 'error' event without a listener would throw in the host process
+    reportError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    // Tools a recording with these options can't do without. Tools that
+    // only improve things (monitor detection, the default sink) are left
+    // to doctor.
+    requiredTools(options = {}) {
+        const tools = ['ffmpeg'];
+        // An unknown backend is reported by normalizeOptions
+        const backend = BACKENDS[options.backend || this.defaultBackend()];
+        if (options.screenshot || options.timelapse) {
+            // Frames are grabbed without a backend
+            if (this.isWayland) {
+                tools.push('grim');
+            }
+        } else if (options.recordVideo !== false && backend) {
+            tools.push(...backend.tools.filter(tool => tool !== 'ffmpeg'));
+        }
+        if (options.area && options.area.interactive) {
+            tools.push('slurp');
+        }
+        tools.push(...this.postProcessingTools(options).filter(tool => tool !== 'ffmpeg'));
+        if (options.notify) {
+            tools.push('notify-send');
+        }
+        if (options.window && !this.isWayland) {
+            tools.push('xwininfo');
+            if (!['select', 'click'].includes(options.window.spec) && !/^0x/i.test(options.window.spec)) {
+                tools.push('wmctrl');
+            }
         }
+        return tools;
+    }
 
+    // Resolves with the names of the missing tools
+    async checkDependencies(options) {
         const missing = [];
-        
-        for (const dep of dependencies) {
+        for (const tool of this.requiredTools(options)) {
+            if (!await this.findTool(tool)) {
+                missing.push(tool);
+            }
+        }
+        return missing;
+    }
+
+    async findTool(name) {
+        try {
+            return await this.runCommand(`which ${name}`);
+        } catch {
+            return null;
+        }
+    }
+
+    detectDistro() {
+        let release = '';
+        try {
+            release = fs.readFileSync('/etc/os-release', 'utf8');
+        } catch {
+            // Not every system has it
+        }
+        const fields = {};
+        for (const [, key, , value] of release.matchAll(/^(\w+)=("?)(.*)\2$/gm)) {
+            fields[key] = value;
+        }
+        const ids = [fields.ID, ...(fields.ID_LIKE || '').split(' ')].filter(Boolean);
+        const family = Object.keys(DISTRO_FAMILIES)
+            .find(name => ids.some(id => DISTRO_FAMILIES[name].includes(id))) || null;
+        return { id: fields.ID || null, name: fields.PRETTY_NAME || fields.NAME || 'Unknown Linux', family };
+    }
+
+    // The one command that installs the given tools on this distro, or null
+    // when the package manager isn't known
+    installCommand(tools, distro = this.detectDistro()) {
+        if (!distro.family || tools.length === 0) {
+            return null;
+        }
+        const packages = tools.flatMap(tool => ((PACKAGES[tool] && PACKAGES[tool][distro.family]) || tool).split(' '));
+        return `${INSTALL_COMMANDS[distro.family]} ${[...new Set(packages)].join(' ')}`;
+    }
+
+    // Names listed by ffmpeg -encoders/-devices/-formats, with their flags
+    // (V/A for encoders, D/E for demuxing and muxing)
+    async probeFFmpeg(list) {
+        const output = await this.runProcess(['ffmpeg', '-hide_banner', `-${list}`]);
+        const lines = output.split('\n');
+        const start = lines.findIndex(line => line.trim().startsWith('--'));
+        // Encoders have six flag columns, devices and formats two (three
+        // since ffmpeg 7, which marks devices with d)
+        const pattern = list === 'encoders' ? /^ ([VAS][A-Z.]{5}) (\S+)/ : /^ ([D ][E ])[d ]?\s+(\S+)/;
+        const entries = {};
+        for (const line of lines.slice(start + 1)) {
+            const match = line.match(pattern);
+            if (match) {
+                match[2].split(',').forEach(name => { entries[name] = match[1]; });
+            }
+        }
+        return entries;
+    }
+
+    // Checks tools, the ffmpeg build and what they make possible in this
+    // session. Each feature says whether it is available and why not.
+    async diagnose() {
+        const distro = this.detectDistro();
+        const session = this.isWayland ? 'wayland' : 'x11';
+        const toolNames = this.isWayland
+            ? ['ffmpeg', 'wf-recorder', 'slurp', 'wlr-randr', 'grim', 'pactl']
+            : ['ffmpeg', 'xrandr', 'xwininfo', 'wmctrl', 'pactl'];
+
+        const tools = {};
+        for (const name of toolNames) {
+            const toolPath = await this.findTool(name);
+            tools[name] = { found: Boolean(toolPath), path: toolPath, version: null };
+        }
+
+        let encoders = {};
+        let devices = {};
+        let formats = {};
+        if (tools.ffmpeg.found) {
             try {
-                await this.runCommand(`which ${dep}`);
+                const version = (await this.runProcess(['ffmpeg', '-version'])).match(/^ffmpeg version (\S+)/);
+                tools.ffmpeg.version = version ? version[1] : null;
+                encoders = await this.probeFFmpeg('encoders');
+                devices = await this.probeFFmpeg('devices');
+                formats = await this.probeFFmpeg('formats');
             } catch {
-                missing.push(dep);
+                // Leaves the lists empty, so everything ffmpeg provides shows as unavailable
+            }
+        }
+        if (tools['wf-recorder'] && tools['wf-recorder'].found) {
+            try {
+                const version = (await this.runProcess(['wf-recorder', '--version'])).match(/\d+(\.\d+)+/);
+                tools['wf-recorder'].version = version ? version[0] : null;
+            } catch {
+                // Older releases have no --version
             }
         }
 
-        if (missing.length > 0) {
-            console.error('\n❌ Missing dependencies:');
-            missing.forEach(dep => console.error(`  - ${dep}`));
-            console.error('\n📦 Install commands:');
-            console.error('Arch Linux:');
-            console.error(`  sudo pacman -S ${missing.join(' ')} slurp`);
-            console.error('\nUbuntu/Debian:');
-            console.error(`  sudo apt install ${missing.join(' ')} slurp`);
-            console.error('\nFedora:');
-            console.error(`  sudo dnf install ${missing.join(' ')} slurp`);
-            process.exit(1);
+        const features = [];
+        const feature = (name, available, reason, required = false) => {
+            features.push({ name, available, reason: available ? null : reason, required });
+        };
+        const noFFmpeg = 'ffmpeg not found';
+        const hasDevice = (name, flag) => (devices[name] || '').includes(flag);
+        const hasFormat = (name, flag) => (formats[name] || '').includes(flag);
+
+        if (this.isWayland) {
+            feature('Screen recording (wf-recorder)', tools['wf-recorder'].found, 'wf-recorder not found', true);
+            feature('Interactive area selection (-a select)', tools.slurp.found, 'slurp not found');
+            feature('Monitor selection (--monitor)', tools['wlr-randr'].found, 'wlr-randr not found');
+            feature('Window recording (--window)', false, 'only supported on X11');
+            feature('Screenshots and timelapses (grim)', tools.grim.found, 'grim not found');
+        } else {
+            feature('Screen recording (x11grab)', hasDevice('x11grab', 'D'),
+                tools.ffmpeg.found ? 'ffmpeg was built without x11grab' : noFFmpeg, true);
+            feature('Interactive area selection (-a select)', false, 'only supported on Wayland (slurp)');
+            feature('Monitor selection (--monitor)', tools.xrandr.found, 'xrandr not found');
+            feature('Window recording (--window)', tools.xwininfo.found && tools.wmctrl.found,
+                `${['xwininfo', 'wmctrl'].filter(tool => !tools[tool].found).join(' and ')} not found`);
+        }
+        feature('Audio recording (PulseAudio/PipeWire)', hasDevice('pulse', 'D'),
+            tools.ffmpeg.found ? 'ffmpeg was built without the pulse input' : noFFmpeg);
+        feature('Default system audio source', tools.pactl.found, 'pactl not found, @DEFAULT_MONITOR@ is used instead');
+
+        for (const [name, aliases] of [['libx264', 'H.264'], ['libx265', 'H.265'], ['libvpx-vp9', 'VP9'], ['libsvtav1', 'AV1'],
+            ['ffv1', 'FFV1'], ['prores_ks', 'ProRes'], ['aac', 'AAC'], ['libopus', 'Opus'], ['libmp3lame', 'MP3'],
+            ['libvorbis', 'Vorbis'], ['flac', 'FLAC'], ['alac', 'ALAC'], ['pcm_s16le', 'PCM']]) {
+            let reason = tools.ffmpeg.found ? `ffmpeg was built without ${name}` : noFFmpeg;
+            if (name === 'libx264' && distro.family === 'fedora') {
+                reason += " (Fedora's ffmpeg-free lacks it, use ffmpeg from RPM Fusion)";
+            }
+            feature(`${aliases} encoder (${name})`, name in encoders, reason, name === 'libx264');
+        }
+        for (const [format, muxer] of Object.entries(FORMAT_MUXERS)) {
+            feature(`.${format} output (${muxer})`, hasFormat(muxer, 'E'),
+                tools.ffmpeg.found ? `ffmpeg was built without the ${muxer} muxer` : noFFmpeg);
+        }
+        feature('Split recordings and replay (segment)', hasFormat('segment', 'E'),
+            tools.ffmpeg.found ? 'ffmpeg was built without the segment muxer' : noFFmpeg);
+        feature('Pause, resume and recover (concat)', hasFormat('concat', 'D'),
+            tools.ffmpeg.found ? 'ffmpeg was built without the concat demuxer' : noFFmpeg);
+        feature('Camera overlay (--overlay /dev/video0)', hasDevice('v4l2', 'D'),
+            tools.ffmpeg.found ? 'ffmpeg was built without v4l2' : noFFmpeg);
+
+        // Other backends are listed, but their tools aren't suggested for install
+        const backends = [];
+        for (const [name, backend] of Object.entries(BACKENDS)) {
+            const missing = [];
+            for (const tool of backend.tools) {
+                if (!(tools[tool] ? tools[tool].found : await this.findTool(tool))) {
+                    missing.push(tool);
+                }
+            }
+            let reason = null;
+            if (backend.session && backend.session !== session) {
+                reason = `needs ${backend.session === 'x11' ? 'an X11' : 'a Wayland'} session`;
+            } else if (missing.length > 0) {
+                reason = `${missing.join(' and ')} not found`;
+            } else if (['x11grab', 'kmsgrab'].includes(name) && !hasDevice(name, 'D')) {
+                reason = `ffmpeg was built without ${name}`;
+            }
+            backends.push({
+                name,
+                description: backend.description,
+                modes: backend.modes,
+                available: !reason,
+                reason,
+                default: name === this.defaultBackend()
+            });
         }
+
+        const missingTools = toolNames.filter(name => !tools[name].found);
+        return {
+            distro,
+            session,
+            tools,
+            backends,
+            ffmpeg: {
+                encoders: Object.keys(encoders).filter(name => name in VIDEO_ENCODERS || name in AUDIO_ENCODERS),
+                devices: ['x11grab', 'kmsgrab', 'pulse', 'alsa', 'lavfi'].filter(name => name in devices),
+                formats: [...Object.values(FORMAT_MUXERS), 'segment', 'concat'].filter(name => name in formats)
+            },
+            features,
+            ok: features.every(({ available, required }) => available || !required),
+            missingTools,
+            install: this.installCommand(missingTools, distro)
+        };
     }
 
     runCommand(command, options = {}) {
@@ -78,365 +658,3990 @@ class ScreenRecorder {
         });
     }
 
-    async getDisplayInfo() {
+    async getMonitors() {
         if (this.isWayland) {
-            // For Wayland, we'll use wlr-randr if available, otherwise default values
             try {
-                const output = await this.runCommand('wlr-randr');
-                const lines = output.split('\n');
-                const displays = [];
-                
-                for (const line of lines) {
-                    if (line.includes('current')) {
-                        const match = line.match(/(\d+)x(\d+)/);
-                        if (match) {
-                            displays.push({ width: match[1], height: match[2] });
-                        }
-                    }
-                }
-                return displays.length > 0 ? displays[0] : { width: '1920', height: '1080' };
+                // Newer wlr-randr versions can print JSON
+                const output = await this.runCommand('wlr-randr --json');
+                return this.parseWlrRandrJson(output);
             } catch {
-                return { width: '1920', height: '1080' };
+                try {
+                    const output = await this.runCommand('wlr-randr');
+                    return this.parseWlrRandr(output);
+                } catch {
+                    return [];
+                }
             }
         } else {
             try {
-                const output = await this.runCommand('xrandr');
-                const match = output.match(/(\d+)x(\d+)\+0\+0/);
-                return match ? { width: match[1], height: match[2] } : { width: '1920', height: '1080' };
+                const output = await this.runCommand('xrandr --query');
+                return this.parseXrandr(output);
             } catch {
-                return { width: '1920', height: '1080' };
+                return [];
             }
         }
     }
 
-    async getAudioDevices() {
-        try {
-            if (this.isWayland) {
-                const output = await this.runCommand('pactl list sources short');
-                return output.split('\n').filter(line => line.trim());
-            } else {
-                const output = await this.runCommand('pactl list sources short');
-                return output.split('\n').filter(line => line.trim());
+    parseXrandr(output) {
+        const monitors = [];
+        for (const line of output.split('\n')) {
+            const match = line.match(/^(\S+) connected (primary )?(\d+)x(\d+)\+(\d+)\+(\d+)/);
+            if (match) {
+                monitors.push({
+                    name: match[1],
+                    width: parseInt(match[3]),
+                    height: parseInt(match[4]),
+                    x: parseInt(match[5]),
+                    y: parseInt(match[6]),
+                    scale: 1,
+                    primary: Boolean(match[2])
+                });
             }
-        } catch {
-            return [];
         }
+        return monitors;
     }
 
-    async getApplications() {
-        if (this.isWayland) {
-            // Wayland application detection is more complex and compositor-dependent
-            console.warn('⚠️  Single application recording on Wayland requires compositor support');
-            return [];
-        } else {
-            try {
-                const output = await this.runCommand('wmctrl -l');
-                return output.split('\n')
-                    .filter(line => line.trim())
-                    .map(line => {
-                        const parts = line.split(/\s+/);
-                        const id = parts[0];
-                        const title = parts.slice(3).join(' ');
-                        return { id, title };
-                    });
-            } catch {
-                return [];
-            }
-        }
+    // Wayland positions are in logical pixels, so sizes are divided by the
+    // scale and swapped for rotated outputs
+    logicalSize(width, height, scale, transform) {
+        const rotated = /90|270/.test(transform || '');
+        return {
+            width: Math.round((rotated ? height : width) / scale),
+            height: Math.round((rotated ? width : height) / scale)
+        };
     }
 
-    getFileExtension(filename) {
-        return path.extname(filename).toLowerCase().substring(1) || 'mp4';
+    parseWlrRandrJson(output) {
+        return JSON.parse(output)
+            .filter(head => head.enabled)
+            .map(head => {
+                const mode = head.modes.find(m => m.current) || head.modes[0];
+                const scale = head.scale || 1;
+                return {
+                    name: head.name,
+                    ...this.logicalSize(mode.width, mode.height, scale, head.transform),
+                    x: head.position.x,
+                    y: head.position.y,
+                    scale,
+                    primary: false
+                };
+            });
     }
 
-    async buildFFmpegCommand(options) {
-        // For audio-only recording, use FFmpeg directly even on Wayland
-        if (options.audioOnly) {
-            return this.buildAudioOnlyCommand(options);
-        }
-        
-        const cmd = ['ffmpeg', '-y']; // -y to overwrite existing files
-        
-        // Frame rate
-        if (options.framerate) {
-            cmd.push('-framerate', options.framerate.toString());
-        }
-
-        // Video input
-        if (options.recordVideo) {
-            if (this.isWayland) {
-                // For Wayland, we'll use wf-recorder instead
-                return await this.buildWaylandCommand(options);
-            } else {
-                // X11 recording
-                if (options.area) {
-                    cmd.push('-f', 'x11grab', '-s', `${options.area.width}x${options.area.height}`, 
-                             '-i', `:0.0+${options.area.x},${options.area.y}`);
-                } else if (options.window) {
-                    cmd.push('-f', 'x11grab', '-i', `:0.0+${options.window.x},${options.window.y}`, 
-                             '-s', `${options.window.width}x${options.window.height}`);
-                } else {
-                    cmd.push('-f', 'x11grab', '-i', ':0.0');
+    parseWlrRandr(output) {
+        const monitors = [];
+        let current = null;
+        for (const line of output.split('\n')) {
+            if (/^\S/.test(line)) {
+                current = { name: line.split(/\s+/)[0], x: 0, y: 0, scale: 1, enabled: true, primary: false };
+                monitors.push(current);
+            } else if (current) {
+                const mode = line.match(/(\d+)x(\d+) px.*current/);
+                const position = line.match(/Position:\s*(-?\d+),(-?\d+)/);
+                const scale = line.match(/Scale:\s*([\d.]+)/);
+                const transform = line.match(/Transform:\s*(\S+)/);
+                const enabled = line.match(/Enabled:\s*(\S+)/);
+                if (mode) {
+                    current.modeWidth = parseInt(mode[1]);
+                    current.modeHeight = parseInt(mode[2]);
                 }
+                if (position) {
+                    current.x = parseInt(position[1]);
+                    current.y = parseInt(position[2]);
+                }
+                if (scale) current.scale = parseFloat(scale[1]);
+                if (transform) current.transform = transform[1];
+                if (enabled) current.enabled = enabled[1] === 'yes';
             }
         }
+        return monitors
+            .filter(monitor => monitor.enabled && monitor.modeWidth)
+            .map(({ name, x, y, scale, primary, modeWidth, modeHeight, transform }) => ({
+                name,
+                ...this.logicalSize(modeWidth, modeHeight, scale, transform),
+                x,
+                y,
+                scale,
+                primary
+            }));
+    }
 
-        // Audio input
-        if (options.recordAudio) {
-            if (options.internalAudio) {
-                cmd.push('-f', 'pulse', '-i', 'default');
-            } else {
-                cmd.push('-f', 'pulse', '-i', options.audioDevice || 'default');
-            }
+    // Bounding box of all monitors
+    async getDisplayInfo() {
+        const monitors = await this.getMonitors();
+        if (monitors.length === 0) {
+            this.warn('Could not detect monitors, assuming 1920x1080');
+            return { width: 1920, height: 1080, x: 0, y: 0 };
         }
+        const x = Math.min(...monitors.map(m => m.x));
+        const y = Math.min(...monitors.map(m => m.y));
+        return {
+            width: Math.max(...monitors.map(m => m.x + m.width)) - x,
+            height: Math.max(...monitors.map(m => m.y + m.height)) - y,
+            x,
+            y
+        };
+    }
 
-        // Output codec based on format
-        const format = this.getFileExtension(options.output);
-        
-        if (options.recordVideo) {
-            switch (format) {
-                case 'mkv':
-                    cmd.push('-c:v', 'libx264', '-preset', 'ultrafast');
-                    break;
-                case 'webm':
-                    cmd.push('-c:v', 'libvpx-vp9');
-                    break;
-                case 'avi':
-                    cmd.push('-c:v', 'libx264');
-                    break;
-                default: // mp4
-                    cmd.push('-c:v', 'libx264', '-preset', 'ultrafast', '-crf', '23');
-            }
+    // Accepts a monitor name or its 1-based index from --list-monitors
+    async findMonitor(spec) {
+        const monitors = await this.getMonitors();
+        if (monitors.length === 0) {
+            throw new Error('Could not detect any monitors');
         }
 
-        if (options.recordAudio) {
-            switch (format) {
-                case 'ogg':
-                    cmd.push('-c:a', 'libvorbis');
-                    break;
-                case 'mp3':
-                    cmd.push('-c:a', 'libmp3lame');
-                    break;
-                case 'wav':
-                    cmd.push('-c:a', 'pcm_s16le');
-                    break;
-                case 'flac':
-                    cmd.push('-c:a', 'flac');
-                    break;
-                default:
-                    cmd.push('-c:a', 'aac');
-            }
+        const monitor = /^\d+$/.test(spec)
+            ? monitors[parseInt(spec) - 1]
+            : monitors.find(m => m.name.toLowerCase() === spec.toLowerCase());
+        if (!monitor) {
+            throw new Error(`Unknown monitor: ${spec} (available: ${monitors.map(m => m.name).join(', ')})`);
         }
+        return monitor;
+    }
 
-        cmd.push(options.output);
-        return cmd;
+    async resolveMonitor(spec) {
+        const monitor = await this.findMonitor(spec);
+        this.notify(`🖥️  Monitor: ${monitor.name} (${monitor.width}x${monitor.height}+${monitor.x}+${monitor.y})`);
+        return monitor;
     }
 
-    async buildWaylandCommand(options) {
-        const cmd = ['wf-recorder'];
-        
-        if (options.framerate) {
-            cmd.push('-r', options.framerate.toString());
-        }
+    // x11grab input for the current X display, optionally offset
+    x11Input(x, y) {
+        const display = process.env.DISPLAY || ':0';
+        return x === undefined ? display : `${display}+${x},${y}`;
+    }
 
-        if (options.recordAudio) {
-            cmd.push('--audio');
-            if (options.audioDevice) {
-                cmd.push('--audio-device', options.audioDevice);
+    // Audio sources as { index, name, description, type, monitorOf, default },
+    // microphones ('input') first, then the monitors that carry what a sink
+    // plays back. The default monitor is the one of the default sink.
+    async getAudioDevices() {
+        const discoveries = [
+            () => this.getPactlDevices(),
+            () => this.getPipeWireDevices(),
+            () => this.getPactlShortDevices()
+        ];
+        let devices = [];
+        for (const discover of discoveries) {
+            try {
+                devices = await discover();
+                break;
+            } catch {
+                // pactl without JSON output, no pw-dump, or no sound server
             }
         }
+        const order = device => (device.type === 'input' ? 0 : 1);
+        return devices
+            .sort((a, b) => order(a) - order(b))
+            .map((device, index) => ({ index: index + 1, ...device }));
+    }
 
-        // Handle area selection
-        if (options.area) {
-            if (options.useSlurp) {
-                // Use slurp for interactive selection
-                console.log('🎯 Use your mouse to select the recording area...');
-                console.log('📌 Click and drag to select the area, then press Enter');
-                try {
-                    // Run slurp interactively
-                    const geometry = await new Promise((resolve, reject) => {
-                        const slurpProcess = spawn('slurp', [], { 
-                            stdio: ['inherit', 'pipe', 'inherit']
-                        });
-                        
-                        let output = '';
-                        slurpProcess.stdout.on('data', (data) => {
-                            output += data.toString();
-                        });
-                        
-                        slurpProcess.on('close', (code) => {
-                            if (code === 0 && output.trim()) {
-                                resolve(output.trim());
-                            } else {
-                                reject(new Error('Area selection cancelled'));
-                            }
-                        });
-                    });
-                    
-                    console.log(`✅ Selected area: ${geometry}`);
-                    cmd.push('-g', geometry);
-                } catch (error) {
-                    console.error('❌ Failed to get area selection with slurp');
-                    throw error;
+    audioDevice(name, description, monitorOf, defaults) {
+        return {
+            name,
+            description: description || name,
+            type: monitorOf ? 'monitor' : 'input',
+            monitorOf: monitorOf || null,
+            default: monitorOf ? monitorOf === defaults.sink : name === defaults.source
+        };
+    }
+
+    // pactl 16 and later print JSON with -f json
+    async getPactlDevices() {
+        const sources = JSON.parse(await this.runCommand('pactl -f json list sources'));
+        const info = JSON.parse(await this.runCommand('pactl -f json info'));
+        const defaults = { sink: info.default_sink_name, source: info.default_source_name };
+        return sources.map((source) => {
+            const monitorOf = ['', 'n/a'].includes(source.monitor_of_sink) ? null : source.monitor_of_sink;
+            return this.audioDevice(source.name, source.description, monitorOf, defaults);
+        });
+    }
+
+    // PipeWire without a JSON capable pactl. pipewire-pulse names the
+    // monitor of a sink <sink>.monitor.
+    async getPipeWireDevices() {
+        const objects = JSON.parse(await this.runCommand('pw-dump', { maxBuffer: 64 * 1024 * 1024 }));
+        const defaults = {};
+        for (const object of objects) {
+            if (object.type === 'PipeWire:Interface:Metadata' && object.props && object.props['metadata.name'] === 'default') {
+                for (const { key, value } of object.metadata || []) {
+                    if (key === 'default.audio.sink' && value) {
+                        defaults.sink = value.name;
+                    } else if (key === 'default.audio.source' && value) {
+                        defaults.source = value.name;
+                    }
                 }
-            } else {
-                // Use provided coordinates
-                cmd.push('-g', `${options.area.x},${options.area.y} ${options.area.width}x${options.area.height}`);
             }
         }
 
-        // Use software encoding by default to avoid hardware issues
-        const format = this.getFileExtension(options.output);
-        switch (format) {
-            case 'mkv':
-                cmd.push('-c', 'libx264');
-                break;
-            case 'webm':
-                cmd.push('-c', 'libvpx-vp9');
-                break;
-            case 'mp4':
-                cmd.push('-c', 'libx264');
-                break;
-            default:
-                // Use software encoding by default
-                cmd.push('-c', 'libx264');
+        const devices = [];
+        for (const object of objects) {
+            const props = object.type === 'PipeWire:Interface:Node' && object.info ? object.info.props || {} : {};
+            const mediaClass = props['media.class'] || '';
+            const name = props['node.name'];
+            const description = props['node.description'] || props['node.nick'];
+            if (mediaClass.startsWith('Audio/Source')) {
+                devices.push(this.audioDevice(name, description, null, defaults));
+            } else if (mediaClass === 'Audio/Sink') {
+                devices.push(this.audioDevice(`${name}.monitor`, `Monitor of ${description || name}`, name, defaults));
+            }
         }
+        return devices;
+    }
 
-        // Add quality settings for software encoding
-        cmd.push('--pixel-format', 'yuv420p');
+    // Older pactl: "index name driver sample-spec state" lines, which have
+    // no descriptions
+    async getPactlShortDevices() {
+        const output = await this.runCommand('pactl list sources short');
+        const info = await this.runCommand('LC_ALL=C pactl info').catch(() => '');
+        const field = (label) => {
+            const match = info.match(new RegExp(`^${label}: (.+)$`, 'm'));
+            return match ? match[1].trim() : null;
+        };
+        const defaults = { sink: field('Default Sink'), source: field('Default Source') };
+        return output.split('\n').filter(line => line.trim()).map((line) => {
+            const name = line.split('\t')[1];
+            return this.audioDevice(name, null, name.endsWith('.monitor') ? name.slice(0, -'.monitor'.length) : null, defaults);
+        });
+    }
 
-        cmd.push('-f', options.output);
-        return cmd;
+    // The monitor of the default sink carries everything that is played
+    // back. PulseAudio and pipewire-pulse also resolve @DEFAULT_MONITOR@
+    // themselves, for when the devices can't be listed.
+    defaultMonitor(devices) {
+        const monitor = devices.find(device => device.type === 'monitor' && device.default) ||
+            devices.find(device => device.type === 'monitor');
+        return monitor ? monitor.name : '@DEFAULT_MONITOR@';
     }
 
-    buildAudioOnlyCommand(options) {
-        const cmd = ['ffmpeg', '-y']; // -y to overwrite existing files
-        
-        // Audio input source
-        if (options.internalAudio) {
-            // Try to find the monitor/sink device for internal audio
-            cmd.push('-f', 'pulse', '-i', 'default.monitor');
-        } else {
-            // Regular microphone input
-            cmd.push('-f', 'pulse', '-i', options.audioDevice || 'default');
+    // --audio-device takes the number from --list-audio, a device name or
+    // part of a name or description. A partial match of several devices is
+    // narrowed to the type being looked for (input or monitor). Without a
+    // device list the name is passed on as it is.
+    resolveAudioDevice(spec, devices, type) {
+        if (devices.length === 0 || spec === 'default' || spec.startsWith('@')) {
+            return spec;
         }
-
-        // Audio codec based on format
-        const format = this.getFileExtension(options.output);
-        switch (format) {
-            case 'ogg':
-                cmd.push('-c:a', 'libvorbis', '-q:a', '6');
-                break;
-            case 'mp3':
-                cmd.push('-c:a', 'libmp3lame', '-b:a', '192k');
-                break;
-            case 'wav':
-                cmd.push('-c:a', 'pcm_s16le');
-                break;
-            case 'flac':
-                cmd.push('-c:a', 'flac', '-compression_level', '8');
-                break;
-            case 'aac':
-                cmd.push('-c:a', 'aac', '-b:a', '128k');
-                break;
-            default:
-                cmd.push('-c:a', 'libmp3lame', '-b:a', '192k');
+        if (/^\d+$/.test(spec)) {
+            const device = devices.find(candidate => candidate.index === parseInt(spec));
+            if (!device) {
+                throw new Error(`No audio device number ${spec} (see --list-audio)`);
+            }
+            return device.name;
         }
 
-        // Add metadata for audio files
-        cmd.push('-metadata', `title=Audio Recording ${new Date().toISOString()}`);
-        
-        cmd.push(options.output);
-        return cmd;
+        const wanted = spec.toLowerCase();
+        const exact = devices.find(device => device.name === spec || device.description.toLowerCase() === wanted);
+        if (exact) {
+            return exact.name;
+        }
+        let matches = devices.filter(device => device.name.toLowerCase().includes(wanted) ||
+            device.description.toLowerCase().includes(wanted));
+        if (matches.length > 1 && matches.filter(device => device.type === type).length === 1) {
+            matches = matches.filter(device => device.type === type);
+        }
+        if (matches.length === 1) {
+            return matches[0].name;
+        }
+        throw new Error(matches.length === 0
+            ? `Unknown audio device: ${spec} (see --list-audio)`
+            : `Audio device "${spec}" matches ${matches.map(device => device.name).join(', ')}`);
     }
 
-    async startRecording(options) {
-        console.log('🎬 Starting recording...');
-        console.log(`📁 Output: ${options.output}`);
-        console.log(`🎥 Video: ${options.recordVideo ? '✅' : '❌'}`);
-        console.log(`🎵 Audio: ${options.recordAudio ? '✅' : '❌'}`);
-        
-        const cmd = await this.buildFFmpegCommand(options);
-        console.log(`🔧 Command: ${cmd.join(' ')}\n`);
-
-        const recordingProcess = spawn(cmd[0], cmd.slice(1), {
-            stdio: ['ignore', 'pipe', 'pipe'] // Don't pipe stdin to avoid mouse issues
-        });
+    // --audio-device picks the microphone, or with -I alone the system audio
+    async getAudioSources(options) {
+        const sources = [];
+        if (!options.recordAudio) {
+            return sources;
+        }
 
-        this.ffmpegProcess = recordingProcess;
+        const devices = await this.getAudioDevices();
+        const micChosen = !options.internalAudio || options.bothAudio;
+        const chosen = options.audioDevice
+            ? this.resolveAudioDevice(options.audioDevice, devices, micChosen ? 'input' : 'monitor')
+            : null;
+        if (micChosen) {
+            sources.push({
+                type: 'microphone',
+                device: chosen || 'default',
+                volume: options.micVolume,
+                filters: this.voiceFilters(options)
+            });
+        }
+        if (options.internalAudio) {
+            sources.push({
+                type: 'system',
+                device: (!micChosen && chosen) || this.defaultMonitor(devices),
+                volume: options.systemVolume,
+                filters: []
+            });
+        }
+        return sources;
+    }
 
-        recordingProcess.stderr.on('data', (data) => {
-            const output = data.toString();
-            // Show only important output
-            if (output.includes('frame=') || output.includes('time=')) {
-                process.stdout.write(`\r${output.split('\n')[0]}`);
-            } else if (output.includes('error') || output.includes('Error')) {
-                console.error(`\n❌ ${output}`);
-            }
-        });
+    // Clean-up filters for the microphone, in the order they run: noise is
+    // removed before the gate decides what is speech
+    voiceFilters(options) {
+        const filters = [];
+        if (options.denoise) {
+            // A trained arnndn model handles changing noise better, afftdn
+            // needs nothing extra and follows the noise floor as it changes
+            filters.push(options.denoiseModel ? `arnndn=m=${this.filterPath(options.denoiseModel)}` : 'afftdn=tn=1');
+        }
+        if (options.noiseGate !== null) {
+            filters.push(`agate=threshold=${options.noiseGate}dB:attack=10:release=250`);
+        }
+        return filters;
+    }
 
-        recordingProcess.on('close', (code) => {
-            console.log(`\n\n🎬 Recording finished with code ${code}`);
-            if (code === 0) {
-                console.log(`✅ Recording saved to: ${options.output}`);
-            } else {
-                console.log(`❌ Recording failed with code: ${code}`);
-            }
-        });
+    // A file name as a filter option inside -filter_complex: escaped once
+    // for the option value and once for the filtergraph
+    filterPath(file) {
+        return path.resolve(file)
+            .replace(/[\\':]/g, '\\$&')
+            .replace(/[\\'[\],;]/g, '\\$&');
+    }
 
-        recordingProcess.on('error', (error) => {
-            console.error(`\n❌ Process error: ${error.message}`);
-        });
+    pushAudioInputs(cmd, sources) {
+        for (const source of sources) {
+            cmd.push('-f', 'pulse', '-i', source.device);
+        }
+    }
 
-        // Handle Ctrl+C gracefully
-        const handleStop = () => {
-            console.log('\n⏹️  Stopping recording...');
-            if (this.ffmpegProcess) {
-                this.ffmpegProcess.kill('SIGINT');
+    // Applies per-source filters and volume and either mixes the sources
+    // into one track or keeps one track per source. firstInput is the
+    // ffmpeg input index of the first audio source.
+    pushAudioMapping(cmd, sources, firstInput, options) {
+        const filters = [];
+        const labels = sources.map((source, index) => {
+            const input = `${firstInput + index}:a`;
+            const chain = source.volume === 1 ? source.filters : [...source.filters, `volume=${source.volume}`];
+            if (chain.length === 0) {
+                return input;
             }
-        };
+            filters.push(`[${input}]${chain.join(',')}[a${index}]`);
+            return `[a${index}]`;
+        });
+        const bracket = label => label.startsWith('[') ? label : `[${label}]`;
 
-        process.on('SIGINT', handleStop);
-        process.on('SIGTERM', handleStop);
+        let maps = labels;
+        if (sources.length > 1 && options.audioTracks === 'mix') {
+            filters.push(`${labels.map(bracket).join('')}amix=inputs=${sources.length}:duration=longest[aout]`);
+            maps = ['[aout]'];
+        }
+        if (options.stopOnSilence) {
+            // Logs silence_start once the track has been quiet that long, see handleStderrLine
+            filters.push(`${bracket(maps[0])}silencedetect=n=${SILENCE_THRESHOLD}:d=${options.stopOnSilence}[silence]`);
+            maps = ['[silence]'];
+        }
 
-        // Keep the main process alive without interfering with mouse input
-        const keepAlive = setInterval(() => {
-            if (!this.ffmpegProcess || this.ffmpegProcess.killed) {
-                clearInterval(keepAlive);
-                process.exit(0);
-            }
-        }, 1000);
+        if (filters.length > 0) {
+            cmd.push('-filter_complex', filters.join(';'));
+        }
+        maps.forEach(map => cmd.push('-map', map));
+    }
 
-        return new Promise((resolve) => {
-            recordingProcess.on('close', () => {
-                clearInterval(keepAlive);
-                resolve();
-            });
-        });
+    needsAudioMixing(sources) {
+        return sources.length > 1 || sources.some(source => source.volume !== 1 || source.filters.length > 0);
     }
 
-    showHelp() {
-        console.log(`
-🎬 Linux Screen Recorder CLI
+    async getApplications() {
+        if (this.isWayland) {
+            // Wayland application detection is more complex and compositor-dependent
+            this.warn('Single application recording on Wayland requires compositor support');
+            return [];
+        } else {
+            try {
+                // -G adds geometry, -x adds the WM_CLASS column
+                const output = await this.runCommand('wmctrl -lGx');
+                // id, desktop, x, y, width, height, class and host, then the
+                // title as it is, with any repeated spaces or tabs
+                const columns = /^(\S+)\s+\S+\s+(-?\d+)\s+(-?\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+\S+ ?(.*)$/;
+                return output.split('\n')
+                    .map(line => columns.exec(line))
+                    .filter(Boolean)
+                    .map(([, id, x, y, width, height, wmClass, title]) => ({
+                        id, title, wmClass, x: Number(x), y: Number(y), width: Number(width), height: Number(height)
+                    }));
+            } catch {
+                return [];
+            }
+        }
+    }
+
+    parseWindowInfo(output) {
+        const field = (name) => {
+            const match = output.match(new RegExp(`${name}:\\s+(-?\\d+)`));
+            return match ? parseInt(match[1]) : null;
+        };
+        const header = output.match(/Window id: (0x[0-9a-f]+)\s*(?:"(.*)")?/i);
+        return {
+            id: header ? header[1] : null,
+            title: header && header[2] ? header[2] : '',
+            x: field('Absolute upper-left X'),
+            y: field('Absolute upper-left Y'),
+            width: field('Width'),
+            height: field('Height')
+        };
+    }
+
+    async getWindowGeometry(id) {
+        const output = await this.runCommand(`xwininfo -id ${id}`);
+        return this.parseWindowInfo(output);
+    }
+
+    async getScreenSize() {
+        if (!this.screenSize) {
+            const output = await this.runCommand('xwininfo -root');
+            const root = this.parseWindowInfo(output);
+            this.screenSize = { width: root.width, height: root.height };
+        }
+        return this.screenSize;
+    }
+
+    // x11grab fails on areas outside the screen and libx264 needs even sizes
+    fitToScreen(geometry, screen) {
+        const x = Math.min(Math.max(geometry.x, 0), screen.width - 2);
+        const y = Math.min(Math.max(geometry.y, 0), screen.height - 2);
+        const width = Math.min(geometry.width - (x - geometry.x), screen.width - x);
+        const height = Math.min(geometry.height - (y - geometry.y), screen.height - y);
+        return {
+            ...geometry,
+            x,
+            y,
+            width: Math.max(2, width - (width % 2)),
+            height: Math.max(2, height - (height % 2))
+        };
+    }
+
+    // Resolves a window spec (select, 0x id, class:NAME or a title) to its geometry
+    async resolveWindow(spec) {
+        if (this.isWayland) {
+            throw new Error('Window recording is only supported on X11');
+        }
+
+        let id;
+        if (!spec || spec === 'select' || spec === 'click') {
+            this.notify('🎯 Click on the window you want to record...');
+            const output = await this.runCommand('xwininfo');
+            id = this.parseWindowInfo(output).id;
+        } else if (/^0x[0-9a-f]+$/i.test(spec)) {
+            id = spec;
+        } else {
+            const windows = await this.getApplications();
+            let matches;
+            if (spec.startsWith('class:')) {
+                const wmClass = spec.slice('class:'.length).toLowerCase();
+                matches = windows.filter(win => win.wmClass.toLowerCase().includes(wmClass));
+            } else {
+                const title = spec.toLowerCase();
+                const exact = windows.filter(win => win.title.toLowerCase() === title);
+                matches = exact.length > 0 ? exact : windows.filter(win => win.title.toLowerCase().includes(title));
+            }
+
+            if (matches.length === 0) {
+                throw new Error(`No window matches "${spec}" (see --list-windows)`);
+            }
+            if (matches.length > 1) {
+                this.warn(`${matches.length} windows match "${spec}", using "${matches[0].title}"`);
+            }
+            id = matches[0].id;
+        }
+
+        if (!id) {
+            throw new Error('Window selection cancelled');
+        }
+
+        const geometry = this.fitToScreen(await this.getWindowGeometry(id), await this.getScreenSize());
+        this.notify(`✅ Selected window: ${geometry.title || id} (${geometry.width}x${geometry.height}+${geometry.x}+${geometry.y})`);
+        return geometry;
+    }
+
+    getFileExtension(filename) {
+        return path.extname(filename).toLowerCase().substring(1) || 'mp4';
+    }
+
+    async buildFFmpegCommand(options) {
+        // For audio-only recording, use FFmpeg directly even on Wayland
+        if (options.audioOnly) {
+            return this.buildAudioOnlyCommand(options);
+        }
+        
+        return this.resolveBackend(options).build(this, options);
+    }
+
+    defaultBackend() {
+        return this.isWayland ? 'wf-recorder' : 'x11grab';
+    }
+
+    // Modes the options ask of the capture backend
+    requiredModes(options) {
+        return [
+            options.area && 'area',
+            options.window && 'window',
+            options.monitor && 'monitor',
+            options.recordAudio && 'audio',
+            options.replay && 'replay',
+            options.stream && 'stream',
+            options.overlay && 'overlay'
+        ].filter(Boolean);
+    }
+
+    // The backend from --backend, or the one for this session, after
+    // checking that it can record what the options ask for
+    resolveBackend(options) {
+        const name = options.backend || this.defaultBackend();
+        const backend = BACKENDS[name];
+        if (!backend) {
+            throw new Error(`Unknown backend: ${name} (available: ${Object.keys(BACKENDS).join(', ')})`);
+        }
+        const session = this.isWayland ? 'wayland' : 'x11';
+        if (backend.session && backend.session !== session) {
+            throw new Error(`The ${name} backend needs ${backend.session === 'x11' ? 'an X11' : 'a Wayland'} session`);
+        }
+        const unsupported = this.requiredModes(options).filter(mode => !backend.modes.includes(mode));
+        if (unsupported.length > 0) {
+            const flags = { area: '--area', window: '--window', monitor: '--monitor', audio: 'audio', replay: '--replay', stream: '--stream', overlay: '--overlay' };
+            const alternatives = this.backendsFor(options);
+            const hint = alternatives.length > 0 ? `; try --backend ${alternatives.join(', ')}` : '';
+            throw new Error(`The ${name} backend doesn't support ${unsupported.map(mode => flags[mode]).join(' or ')} ` +
+                `(it supports ${backend.modes.join(', ')}${hint})`);
+        }
+        if (options.followWindow && name !== 'x11grab') {
+            throw new Error('--follow-window needs the x11grab backend');
+        }
+        return { name, ...backend };
+    }
+
+    // Backends for this session that support every mode the options need
+    backendsFor(options) {
+        const session = this.isWayland ? 'wayland' : 'x11';
+        const modes = this.requiredModes(options);
+        return Object.keys(BACKENDS).filter(name => (!BACKENDS[name].session || BACKENDS[name].session === session) &&
+            modes.every(mode => BACKENDS[name].modes.includes(mode)));
+    }
+
+    // Lets the user draw the area with slurp, unless it was given
+    async resolveArea(options) {
+        if (!options.area.interactive) {
+            return options.area;
+        }
+        this.notify('🎯 Use your mouse to select the recording area...');
+        this.notify('📌 Click and drag to select the area, then press Enter');
+        // Run slurp interactively
+        const geometry = await new Promise((resolve, reject) => {
+            const slurpProcess = spawn('slurp', [], { 
+                stdio: ['inherit', 'pipe', 'inherit']
+            });
+            
+            let output = '';
+            slurpProcess.stdout.on('data', (data) => {
+                output += data.toString();
+            });
+            
+            slurpProcess.on('error', () => reject(new Error('Failed to get area selection with slurp')));
+            slurpProcess.on('close', (code) => {
+                if (code === 0 && output.trim()) {
+                    resolve(output.trim());
+                } else {
+                    reject(new Error('Area selection cancelled'));
+                }
+            });
+        });
+        
+        this.notify(`✅ Selected area: ${geometry}`);
+        const [x, y, width, height] = geometry.match(/\d+/g).map(Number);
+        options.area = { x, y, width, height };
+        return options.area;
+    }
+
+    async buildX11Command(options) {
+        const cmd = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS];
+        
+        // Frame rate
+        if (options.framerate) {
+            cmd.push('-framerate', options.framerate.toString());
+        }
+
+        if (options.area) {
+            const area = await this.resolveArea(options);
+            cmd.push('-f', 'x11grab', '-s', `${area.width}x${area.height}`, 
+                     '-i', this.x11Input(area.x, area.y));
+        } else if (options.window) {
+            await this.selectWindow(options);
+            if (options.followWindow) {
+                // Grab the whole screen, the crop filter is moved along with the window
+                cmd.push('-f', 'x11grab', '-i', this.x11Input());
+            } else {
+                cmd.push('-f', 'x11grab', '-s', `${options.window.width}x${options.window.height}`,
+                         '-i', this.x11Input(options.window.x, options.window.y));
+            }
+        } else if (options.monitor) {
+            const monitor = await this.resolveMonitor(options.monitor);
+            cmd.push('-f', 'x11grab', '-s', `${monitor.width}x${monitor.height}`,
+                     '-i', this.x11Input(monitor.x, monitor.y));
+        } else {
+            cmd.push('-f', 'x11grab', '-i', this.x11Input());
+        }
+
+        const filters = [];
+        if (options.window && options.followWindow) {
+            const { x, y, width, height } = options.window;
+            // Scaling keeps the output size fixed when the window is resized
+            // Named so that the commands of followWindow don't reach other crop filters
+            filters.push(`crop@window=w=${width}:h=${height}:x=${x}:y=${y}`, `scale=${width}:${height}`, 'setsar=1');
+        }
+        return this.finishFFmpegCommand(cmd, options, filters);
+    }
+
+    // Reads the framebuffer through DRM, which works under any compositor.
+    // Frames stay on the GPU until hwdownload, so cropping comes after it.
+    async buildKmsgrabCommand(options) {
+        const cmd = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-device', '/dev/dri/card0', '-f', 'kmsgrab',
+            '-framerate', String(options.framerate), '-i', '-'];
+        const filters = ['hwdownload', 'format=bgr0'];
+        if (options.area) {
+            const { x, y, width, height } = await this.resolveArea(options);
+            filters.push(`crop=${width}:${height}:${x}:${y}`);
+        }
+        return this.finishFFmpegCommand(cmd, options, filters);
+    }
+
+    // Records a PipeWire video node, such as the stream of a screen cast
+    // started through xdg-desktop-portal. GStreamer hands raw frames to
+    // ffmpeg, which adds the audio and encodes.
+    async buildPipewireCommand(options) {
+        if (!options.monitor) {
+            throw new Error('The pipewire backend needs the node to record: --monitor <node id or name> (see pw-cli ls Node)');
+        }
+        const target = /^\d+$/.test(options.monitor) ? `path=${options.monitor}` : `target-object=${options.monitor}`;
+        // -e turns SIGINT into an end of stream, so ffmpeg sees the input end
+        const gstreamer = ['gst-launch-1.0', '-e', '-q', 'pipewiresrc', target, 'do-timestamp=true', '!',
+            'videoconvert', '!', 'videorate', '!', `video/x-raw,format=I420,framerate=${options.framerate}/1`, '!',
+            'y4menc', '!', 'fdsink', 'fd=1'];
+        const ffmpeg = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-f', 'yuv4mpegpipe', '-i', 'pipe:0'];
+        const filters = [];
+        if (options.area) {
+            const { x, y, width, height } = await this.resolveArea(options);
+            filters.push(`crop=${width}:${height}:${x}:${y}`);
+        }
+        return [gstreamer, await this.finishFFmpegCommand(ffmpeg, options, filters)];
+    }
+
+    // Grabs a single frame into an image: with grim on Wayland and a
+    // one-frame x11grab on X11. Areas, windows and monitors are resolved
+    // as for recordings, so slurp and window clicks work the same.
+    async buildScreenshotCommand(options, file) {
+        const format = this.getFileExtension(file);
+        if (!this.isWayland) {
+            let geometry = null;
+            if (options.area) {
+                geometry = await this.resolveArea(options);
+            } else if (options.window) {
+                geometry = await this.selectWindow(options);
+            } else if (options.monitor) {
+                geometry = await this.resolveMonitor(options.monitor);
+            }
+            const cmd = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-f', 'x11grab'];
+            if (geometry) {
+                cmd.push('-s', `${geometry.width}x${geometry.height}`, '-i', this.x11Input(geometry.x, geometry.y));
+            } else {
+                cmd.push('-i', this.x11Input());
+            }
+            cmd.push('-frames:v', '1', ...IMAGE_ENCODERS[format], '-update', '1', file);
+            return cmd;
+        }
+
+        const grim = ['grim'];
+        if (options.monitor) {
+            grim.push('-o', (await this.resolveMonitor(options.monitor)).name);
+        }
+        if (options.area) {
+            const area = await this.resolveArea(options);
+            grim.push('-g', `${area.x},${area.y} ${area.width}x${area.height}`);
+        }
+        if (format === 'webp') {
+            // grim only writes PNG, JPEG and PPM
+            grim.push('-t', 'ppm', '-');
+            const ffmpeg = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-f', 'ppm_pipe', '-i', 'pipe:0',
+                '-frames:v', '1', ...IMAGE_ENCODERS.webp, '-update', '1', file];
+            return [grim, ffmpeg];
+        }
+        grim.push(...(format === 'png' ? ['-t', 'png'] : ['-t', 'jpeg', '-q', '90']), file);
+        return grim;
+    }
+
+    // Plays the frames of a timelapse back at --timelapse-fps. Areas and
+    // windows may have odd sizes, which 4:2:0 encoders can't take.
+    buildTimelapseCommand(pattern, options) {
+        const encoding = this.resolveEncoding(options);
+        return ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-framerate', String(options.timelapseFps),
+            '-i', pattern, '-filter:v', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', ...this.getEncoderArgs(encoding.video, 'v'),
+            ...this.metadataArgs(options), options.output];
+    }
+
+    // Timelapse frames go to a hidden folder next to the output, made
+    // unique with mkdtemp
+    framesDirPrefix(output) {
+        return path.join(path.dirname(output), `.${path.basename(output)}.frames-`);
+    }
+
+    // Adds the audio inputs, video filters, encoders and outputs to an
+    // ffmpeg command whose first input is the video
+    async finishFFmpegCommand(cmd, options, filters) {
+        const audioSources = await this.getAudioSources(options);
+        this.pushAudioInputs(cmd, audioSources);
+        let video = '0:v';
+        if (options.overlay) {
+            // The overlay is the input after the audio, and the video filters
+            // go into its graph
+            cmd.push(...this.overlayInputArgs(options.overlay));
+            cmd.push('-filter_complex', await this.overlayGraph(options, filters, 1 + audioSources.length));
+            video = '[v]';
+            filters = [];
+        }
+        if (audioSources.length > 0) {
+            cmd.push('-map', video);
+            this.pushAudioMapping(cmd, audioSources, 1, options);
+        } else if (options.stream || options.overlay) {
+            // The tee muxer only writes mapped streams, and the sound of an
+            // overlay video is left out
+            cmd.push('-map', video);
+        }
+        if (filters.length > 0) {
+            cmd.push('-filter:v', filters.join(','));
+        }
+
+        // Output codecs based on format and quality options
+        const encoding = this.resolveEncoding(options);
+        cmd.push(...this.getEncoderArgs(encoding.video, 'v'));
+        if (encoding.audio) {
+            cmd.push(...this.getEncoderArgs(encoding.audio, 'a'));
+        }
+        // Every replay or rotated segment has to start on a keyframe
+        const keyframeInterval = options.replay ? REPLAY_SEGMENT_TIME :
+            this.usesSegmentMuxer(options) ? options.segmentTime : null;
+        if (keyframeInterval) {
+            cmd.push('-force_key_frames', `expr:gte(t,n_forced*${keyframeInterval})`);
+        }
+
+        cmd.push(...this.metadataArgs(options));
+        cmd.push(...this.getOutputArgs(options));
+        return cmd;
+    }
+
+    // A V4L2 camera, a video file that loops at its own speed, or
+    // anything else ffmpeg reads, such as an rtsp:// stream
+    overlayInputArgs(source) {
+        if (source.startsWith('/dev/')) {
+            return ['-f', 'v4l2', '-thread_queue_size', '512', '-i', source];
+        }
+        if (!source.includes('://') && fs.existsSync(source)) {
+            return ['-stream_loop', '-1', '-re', '-i', source];
+        }
+        return ['-thread_queue_size', '512', '-i', source];
+    }
+
+    // Reads --overlay-position, --overlay-size, --overlay-shape and
+    // --overlay-border. Positions are overlay filter expressions, where
+    // W and H are the size of the capture and w and h that of the overlay.
+    overlaySettings(options) {
+        const near = `${OVERLAY_MARGIN}`;
+        const corners = {
+            'top-left': [near, near],
+            'top-right': [`W-w-${near}`, near],
+            'bottom-left': [near, `H-h-${near}`],
+            'bottom-right': [`W-w-${near}`, `H-h-${near}`]
+        };
+        let position = corners[options.overlayPosition];
+        if (!position) {
+            const match = String(options.overlayPosition).match(/^(\d+),(\d+)$/);
+            if (!match) {
+                throw new Error(`Invalid --overlay-position: ${options.overlayPosition} (use ${OVERLAY_CORNERS.join(', ')} or X,Y)`);
+            }
+            position = [match[1], match[2]];
+        }
+
+        const size = String(options.overlaySize).match(/^(\d+)(%?)$/);
+        if (!size || Number(size[1]) < 2 || (size[2] && Number(size[1]) > 100)) {
+            throw new Error(`Invalid --overlay-size: ${options.overlaySize} (pixels, e.g. 320, or a share of the capture width, e.g. 25%)`);
+        }
+        if (!OVERLAY_SHAPES.includes(options.overlayShape)) {
+            throw new Error(`Invalid --overlay-shape: ${options.overlayShape} (use ${OVERLAY_SHAPES.join(', ')})`);
+        }
+
+        let border = 0;
+        let color = 'white';
+        if (options.overlayBorder) {
+            // Color names, #RRGGBB or 0xRRGGBB, optionally with @alpha
+            const match = String(options.overlayBorder).match(/^(\d+)(?::([#\w]+(?:@[\d.]+)?))?$/);
+            if (!match) {
+                throw new Error(`Invalid --overlay-border: ${options.overlayBorder} (WIDTH or WIDTH:COLOR, e.g. 4:white)`);
+            }
+            border = Number(match[1]);
+            color = match[2] || color;
+        }
+        return {
+            x: position[0],
+            y: position[1],
+            width: size[2] ? null : Number(size[1]),
+            percent: size[2] ? Number(size[1]) : null,
+            shape: options.overlayShape,
+            border,
+            color
+        };
+    }
+
+    // The filter graph that scales and shapes the overlay input and puts
+    // it over the capture, whose own filters come first. Output: [v]
+    async overlayGraph(options, filters, input) {
+        const settings = this.overlaySettings(options);
+        const { x, y, percent, shape, border, color } = settings;
+        let width = settings.width;
+        if (percent) {
+            const geometry = options.window && options.followWindow ? options.window
+                : await this.captureGeometry(options, this.resolveBackend(options).name);
+            if (!geometry) {
+                throw new Error('The capture size is picked by the backend here, give --overlay-size in pixels');
+            }
+            width = Math.max(2, Math.round(geometry.width * percent / 200) * 2);
+        }
+
+        const graph = [];
+        let screen = '[0:v]';
+        if (filters.length > 0) {
+            graph.push(`[0:v]${filters.join(',')}[screen]`);
+            screen = '[screen]';
+        }
+        const chain = [];
+        if (shape === 'circle') {
+            chain.push("crop=w='min(iw,ih)':h='min(iw,ih)'");
+        }
+        chain.push(`scale=${width}:-2`);
+        const pad = `pad=w=iw+${2 * border}:h=ih+${2 * border}:x=${border}:y=${border}:color=${color}`;
+        if (shape === 'rect') {
+            graph.push(`[${input}:v]${[...chain, ...(border ? [pad] : [])].join(',')}[cam]`);
+        } else {
+            const radius = shape === 'rounded' ? Math.round(width / 8) : null;
+            chain.push('format=rgba');
+            if (!border) {
+                graph.push(`[${input}:v]${chain.join(',')},${this.overlayMask(shape, radius)}[cam]`);
+            } else {
+                // A plate of the border color, one border wider all around,
+                // with the shaped picture on top and the same shape cut out
+                graph.push(`[${input}:v]${chain.join(',')},split[face][plate]`,
+                    `[plate]drawbox=c=${color}:t=fill,${pad}[frame]`,
+                    `[face]${this.overlayMask(shape, radius)}[shaped]`,
+                    `[frame][shaped]overlay=x=${border}:y=${border}:format=rgb,${this.overlayMask(shape, radius && radius + border)}[cam]`);
+            }
+        }
+        graph.push(`${screen}[cam]overlay=x=${x}:y=${y}[v]`);
+        return graph.join(';');
+    }
+
+    // Makes the outside of a circle, or the corners of a rectangle rounded
+    // with radius, transparent
+    overlayMask(shape, radius) {
+        const inside = shape === 'circle'
+            ? 'lte(hypot(X-W/2,Y-H/2),W/2)'
+            : `if(gt(abs(X-W/2),W/2-${radius})*gt(abs(Y-H/2),H/2-${radius}),` +
+              `lte(hypot(abs(X-W/2)-W/2+${radius},abs(Y-H/2)-H/2+${radius}),${radius}),1)`;
+        return `geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='255*${inside}'`;
+    }
+
+    // Where the encoded streams go: the output file, or for --replay a
+    // rolling set of Matroska segments that overwrite the oldest ones
+    getOutputArgs(options) {
+        if (options.stream) {
+            return this.getStreamOutputArgs(options);
+        }
+        if (this.usesSegmentMuxer(options)) {
+            // The start number is set for each run, see retargetStage
+            const args = [
+                '-f', 'segment',
+                '-segment_time', String(options.segmentTime),
+                '-segment_start_number', '1',
+                '-reset_timestamps', '1'
+            ];
+            if (options.crashSafe && ['mp4', 'mov'].includes(this.getFileExtension(options.output))) {
+                // Fragmented MP4 keeps the file being written playable after a crash
+                args.push('-segment_format_options', 'movflags=+frag_keyframe+empty_moov+default_base_moof');
+            }
+            return [...args, this.rotatedPath(options.output, '%03d')];
+        }
+        if (!options.replay) {
+            return [options.output];
+        }
+        const wrap = Math.ceil(options.replay / REPLAY_SEGMENT_TIME) + 2;
+        return [
+            '-f', 'segment',
+            '-segment_time', String(REPLAY_SEGMENT_TIME),
+            '-segment_format', 'matroska',
+            '-segment_wrap', String(wrap),
+            '-reset_timestamps', '1',
+            path.join(this.getReplayDir(), 'replay-%03d.mkv')
+        ];
+    }
+
+    // A stream alone goes straight to its muxer. With a local copy the tee
+    // muxer writes both from one encode, and a stream that fails doesn't
+    // stop the recording (see streamDropped).
+    getStreamOutputArgs(options) {
+        const { muxer } = STREAM_PROTOCOLS[this.streamProtocol(options.stream)];
+        // flv can't seek back to write the duration on a network output
+        const muxerOptions = muxer === 'flv' ? [['flvflags', 'no_duration_filesize']] : [];
+        if (!options.output) {
+            return ['-f', muxer, ...muxerOptions.flatMap(([key, value]) => [`-${key}`, value]), options.stream];
+        }
+        const slave = [['f', muxer], ...muxerOptions, ['onfail', 'ignore']].map(([key, value]) => `${key}=${value}`).join(':');
+        // The tee muxer opens its outputs after the encoders, so flv and
+        // mp4/mkv only get the codec headers when they are global
+        return ['-flags', '+global_header', '-f', 'tee', `[${slave}]${this.teeEscape(options.stream)}|${this.teeEscape(options.output)}`];
+    }
+
+    // The tee muxer splits its outputs on | and unquotes them like ffmpeg's other option strings
+    teeEscape(text) {
+        return text.replace(/[\\'|[\]]/g, '\\$&');
+    }
+
+    streamProtocol(url) {
+        const match = /^([a-z]+):\/\//i.exec(url);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    // Stream keys are passwords, so they are left out of printed commands
+    // and messages: rtmp://host/app/KEY and SRT's streamid and passphrase
+    maskStreamKeys(text) {
+        return text
+            .replace(/(rtmps?:\/\/[^/\s]+\/[^/\s]+\/)[^\s|]+/gi, '$1***')
+            .replace(/((?:streamid|passphrase)=)[^&\s|]+/g, '$1***');
+    }
+
+    // The argv of each pipeline stage, with the stream keys masked
+    maskCommand(stages) {
+        return stages.map(stage => stage.map(arg => this.maskStreamKeys(arg)));
+    }
+
+    // Codecs a stream carries, narrowed to those the container of the
+    // local copy, if there is one, takes as well
+    streamCodecs(protocol, local) {
+        const { video, audio } = STREAM_PROTOCOLS[protocol];
+        if (!local) {
+            return { video, audio };
+        }
+        return {
+            video: local.video ? video.filter(codec => local.video.includes(codec)) : null,
+            audio: audio.filter(codec => local.audio.includes(codec))
+        };
+    }
+
+    // Low latency on top of the quality preset: no lookahead or B-frames,
+    // a keyframe every two seconds for viewers who join, and a bitrate cap
+    // so the uplink keeps up
+    streamParams(options) {
+        const rate = options.bitrate || STREAM_MAX_BITRATE;
+        return [['tune', 'zerolatency'], ['g', options.framerate * 2], ['maxrate', rate], ['bufsize', rate]];
+    }
+
+    checkStreaming(options) {
+        if (!options.stream) {
+            return;
+        }
+        if (!STREAM_PROTOCOLS[this.streamProtocol(options.stream)]) {
+            throw new Error(`Unsupported stream URL: ${this.maskStreamKeys(options.stream)} (use ${Object.keys(STREAM_PROTOCOLS).map(name => `${name}://`).join(', ')})`);
+        }
+        if (options.replay || this.isRotating(options)) {
+            throw new Error('--stream cannot be combined with --replay, --segment-time or --segment-size');
+        }
+        if (!options.output && (options.maxSize || this.hasPostProcessing(options))) {
+            throw new Error('--max-size and post-processing need a local copy, name an output file to record while streaming');
+        }
+        if (!Number.isInteger(options.streamRetries) || options.streamRetries < 0) {
+            throw new Error(`Invalid --stream-retries value: ${options.streamRetries}`);
+        }
+    }
+
+    // Seconds to wait before reconnecting a dropped stream, or null to give
+    // up: when it never got going, or after --stream-retries failures in a
+    // row. A run of STREAM_STABLE_TIME counts as connected again.
+    nextStreamRetry(ranFor) {
+        const session = this.session;
+        if (ranFor >= STREAM_STABLE_TIME * 1000) {
+            session.streamConnected = true;
+            session.streamAttempts = 0;
+        }
+        if (!session.streamConnected || session.streamAttempts >= session.options.streamRetries) {
+            return null;
+        }
+        session.streamAttempts++;
+        return Math.min(2 ** session.streamAttempts, 30);
+    }
+
+    streamFailure(reason) {
+        const session = this.session;
+        const attempts = session.streamAttempts > 0 ? ` after ${session.streamAttempts} reconnection attempt(s)` : '';
+        return `Streaming to ${this.maskStreamKeys(session.options.stream)} failed${attempts}${reason ? `: ${reason}` : ''}`;
+    }
+
+    // With a local copy, ffmpeg keeps recording when the stream fails. The
+    // capture is restarted after a delay to reconnect, and the local parts
+    // are joined at the end like after a pause.
+    streamDropped(reason) {
+        const session = this.session;
+        const delay = this.nextStreamRetry(Date.now() - session.segmentStartedAt);
+        if (delay === null) {
+            this.warn(`${this.streamFailure(reason)}. Recording continues locally`);
+            return;
+        }
+        this.warn(`Stream lost (${reason}), reconnecting in ${delay}s (attempt ${session.streamAttempts} of ${session.options.streamRetries})`);
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = setTimeout(() => {
+            session.reconnectTimer = null;
+            if (this.ffmpegProcess && !session.stopRequested && !session.pauseRequested) {
+                session.reconnectRequested = true;
+                this.ffmpegProcess.kill('SIGINT');
+            }
+        }, delay * 1000);
+    }
+
+    // --screenshot and --timelapse grab single frames with grim or x11grab
+    // instead of recording through a backend, so --backend doesn't apply
+    checkStillCapture(options) {
+        if (!options.screenshot && !options.timelapse) {
+            return;
+        }
+        if (options.screenshot && options.timelapse) {
+            throw new Error('Use either --screenshot or --timelapse, not both');
+        }
+        const flag = options.screenshot ? '--screenshot' : '--timelapse';
+        if (!options.recordVideo || options.recordAudio) {
+            throw new Error(`${flag} captures the screen without audio`);
+        }
+        if (options.window && this.isWayland) {
+            throw new Error('Window recording is only supported on X11');
+        }
+        const conflicts = [
+            options.replay && '--replay',
+            this.isRotating(options) && '--segment-time or --segment-size',
+            options.stream && '--stream',
+            options.followWindow && '--follow-window'
+        ];
+        if (options.screenshot) {
+            conflicts.push(options.duration && '--duration', options.maxSize && '--max-size',
+                this.hasPostProcessing(options) && 'trimming and converting');
+        }
+        const conflict = conflicts.find(Boolean);
+        if (conflict) {
+            throw new Error(`${flag} cannot be combined with ${conflict}`);
+        }
+
+        if (options.screenshot) {
+            const format = this.outputFormat(options);
+            if (!this.supportedImageFormats.includes(format)) {
+                throw new Error(`Unsupported image format: ${format} (supported: ${this.supportedImageFormats.join(', ')})`);
+            }
+        } else if (!Number.isInteger(options.timelapseFps) || options.timelapseFps < 1 || options.timelapseFps > 120) {
+            throw new Error('--timelapse-fps must be a whole number from 1 to 120');
+        }
+    }
+
+    checkOverlay(options) {
+        if (!options.overlay) {
+            return;
+        }
+        if (!options.recordVideo || options.screenshot || options.timelapse) {
+            throw new Error('--overlay needs a video recording');
+        }
+        if (!options.overlay.includes('://') && !fs.existsSync(options.overlay)) {
+            throw new Error(`Overlay source not found: ${options.overlay}`);
+        }
+        this.overlaySettings(options);
+    }
+
+    // --title, --comment and --tag KEY=VALUE
+    checkMetadata(options) {
+        if (options.tags === null || typeof options.tags !== 'object' || Array.isArray(options.tags)) {
+            throw new Error('tags must be an object of metadata keys and values');
+        }
+        for (const key of Object.keys(options.tags)) {
+            if (!/^[A-Za-z][\w.-]*$/.test(key)) {
+                throw new Error(`Invalid metadata key: ${key} (letters, digits, _ . and -)`);
+            }
+        }
+        if (options.screenshot && this.metadataArgs(options).length > 0) {
+            throw new Error('--title, --comment and --tag only apply to recordings');
+        }
+    }
+
+    // The metadata given with --title, --comment and --tag, for the
+    // ffmpeg commands that write a recording
+    metadataArgs(options) {
+        const entries = [['title', options.title], ['comment', options.comment], ...Object.entries(options.tags || {})];
+        return entries.filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+    }
+
+    normalizeCodec(codec) {
+        return codec ? CODEC_ALIASES[codec.toLowerCase()] || codec : null;
+    }
+
+    // Picks and validates the codecs and encoder options for the output
+    // container, so bad combinations fail before anything is spawned
+    resolveEncoding(options) {
+        const format = this.outputFormat(options);
+        if (options.screenshot) {
+            if (options.codec || options.crf !== null || options.preset || options.bitrate) {
+                throw new Error('--codec, --crf, --preset and --bitrate only apply to video recordings');
+            }
+            return { format, quality: options.quality || 'balanced', video: null, audio: null };
+        }
+        let container = this.containerCodecs[format];
+        if (!container) {
+            throw new Error(`Unsupported format: ${format}`);
+        }
+        let target = `.${format} files`;
+        const protocol = options.stream ? this.streamProtocol(options.stream) : null;
+        if (protocol) {
+            container = this.streamCodecs(protocol, options.output ? container : null);
+            target = options.output ? `${target} streamed over ${protocol}` : `${protocol} streams`;
+        }
+
+        const quality = options.quality || 'balanced';
+        if (!QUALITY_PRESETS.includes(quality)) {
+            throw new Error(`Unknown quality preset: ${quality} (use ${QUALITY_PRESETS.join(', ')})`);
+        }
+
+        const encoding = { format, quality, video: null, audio: null };
+        if (options.recordVideo) {
+            if (!container.video) {
+                throw new Error(`.${format} is an audio format, use --audio-only or a video extension`);
+            }
+            encoding.video = this.resolveVideoEncoder(options, container.video, quality, target);
+            if (protocol) {
+                encoding.video.params.push(...this.streamParams(options));
+            }
+        } else if (options.codec || options.crf !== null || options.preset || options.bitrate) {
+            throw new Error('--codec, --crf, --preset and --bitrate only apply to video recordings');
+        }
+
+        if (options.recordAudio) {
+            encoding.audio = this.resolveAudioEncoder(options, container.audio, quality, target);
+        } else if (options.audioCodec || options.audioBitrate) {
+            throw new Error('--audio-codec and --audio-bitrate need an audio source (-A, -I or -B)');
+        }
+        return encoding;
+    }
+
+    resolveVideoEncoder(options, allowed, quality, target) {
+        if (allowed.length === 0) {
+            throw new Error(`No video codec works for ${target}`);
+        }
+        const codec = this.normalizeCodec(options.codec) || allowed[0];
+        const encoder = VIDEO_ENCODERS[codec];
+        if (!encoder) {
+            throw new Error(`Unknown video codec: ${options.codec} (known: ${Object.keys(VIDEO_ENCODERS).join(', ')})`);
+        }
+        if (!allowed.includes(codec)) {
+            throw new Error(`${codec} can't be used for ${target} (use ${allowed.join(', ')})`);
+        }
+
+        const settings = { ...encoder.quality[quality] };
+        if (options.crf !== null) {
+            if (!encoder.crf) {
+                throw new Error(`${codec} doesn't support --crf`);
+            }
+            const [min, max] = encoder.crf;
+            if (!Number.isInteger(options.crf) || options.crf < min || options.crf > max) {
+                throw new Error(`--crf for ${codec} must be between ${min} and ${max}`);
+            }
+            settings.crf = options.crf;
+        }
+        if (options.preset) {
+            if (!encoder.presets.includes(options.preset)) {
+                const accepted = encoder.presets.length > 0 ? `use ${encoder.presets.join(', ')}` : 'it has none';
+                throw new Error(`Invalid --preset ${options.preset} for ${codec} (${accepted})`);
+            }
+            settings.preset = options.preset;
+        }
+        if (options.bitrate) {
+            if (encoder.bitrate === false) {
+                throw new Error(`${codec} doesn't support --bitrate`);
+            }
+            if (options.crf !== null) {
+                throw new Error('Use either --crf or --bitrate, not both');
+            }
+            settings.bitrate = options.bitrate;
+        }
+
+        return { codec, pixelFormat: encoder.pixelFormat, params: encoder.params(settings) };
+    }
+
+    resolveAudioEncoder(options, allowed, quality, target) {
+        if (allowed.length === 0) {
+            throw new Error(`No audio codec works for ${target}`);
+        }
+        const codec = this.normalizeCodec(options.audioCodec) || allowed[0];
+        const encoder = AUDIO_ENCODERS[codec];
+        if (!encoder) {
+            throw new Error(`Unknown audio codec: ${options.audioCodec} (known: ${Object.keys(AUDIO_ENCODERS).join(', ')})`);
+        }
+        if (!allowed.includes(codec)) {
+            throw new Error(`${codec} can't be used for ${target} (use ${allowed.join(', ')})`);
+        }
+
+        const settings = { ...encoder.quality[quality] };
+        if (options.audioBitrate) {
+            if (encoder.bitrate === false) {
+                throw new Error(`${codec} doesn't support --audio-bitrate`);
+            }
+            settings.bitrate = options.audioBitrate;
+        }
+        return { codec, pixelFormat: null, params: encoder.params(settings) };
+    }
+
+    // Encoder options as ffmpeg arguments for stream type v or a
+    getEncoderArgs(encoder, stream) {
+        const args = ['-c:' + stream, encoder.codec];
+        if (encoder.pixelFormat) {
+            args.push('-pix_fmt', encoder.pixelFormat);
+        }
+        for (const [key, value] of encoder.params) {
+            // Generic options need a stream specifier so they don't hit the other stream
+            const option = ['b', 'q', 'profile'].includes(key) ? `-${key}:${stream}` : `-${key}`;
+            args.push(option, String(value));
+        }
+        return args;
+    }
+
+    // wf-recorder takes encoder options as key=value codec parameters
+    getWfRecorderEncoderArgs(encoder, codecFlag, paramFlag) {
+        const args = [codecFlag, encoder.codec];
+        for (const [key, value] of encoder.params) {
+            args.push(paramFlag, `${key}=${value}`);
+        }
+        return args;
+    }
+
+    async buildWaylandCommand(options) {
+        const cmd = ['wf-recorder'];
+        
+        if (options.framerate) {
+            cmd.push('-r', options.framerate.toString());
+        }
+
+        // wf-recorder takes a single audio device, so mixing or volume
+        // changes, like an overlay, are done by piping its output through ffmpeg
+        const audioSources = await this.getAudioSources(options);
+        const pipeAudio = Boolean(options.overlay) || this.needsAudioMixing(audioSources);
+        const encoding = this.resolveEncoding(options);
+        if (audioSources.length > 0 && !pipeAudio) {
+            const device = audioSources[0].device;
+            cmd.push(device === 'default' ? '--audio' : `--audio=${device}`);
+            cmd.push(...this.getWfRecorderEncoderArgs(encoding.audio, '-C', '-P'));
+        }
+
+        if (options.monitor) {
+            const monitor = await this.resolveMonitor(options.monitor);
+            cmd.push('-o', monitor.name);
+        }
+
+        // Handle area selection
+        if (options.area) {
+            const area = await this.resolveArea(options);
+            cmd.push('-g', `${area.x},${area.y} ${area.width}x${area.height}`);
+        }
+
+        if (options.overlay) {
+            // ffmpeg adds the overlay and the audio and encodes, so
+            // wf-recorder only hands over lossless frames
+            cmd.push('-c', 'libx264', '-p', 'preset=ultrafast', '-p', 'qp=0', '-m', 'matroska', '-f', 'pipe:1');
+            const ffmpeg = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-i', 'pipe:0'];
+            return [cmd, await this.finishFFmpegCommand(ffmpeg, options, [])];
+        }
+
+        // Use software encoding by default to avoid hardware issues
+        cmd.push(...this.getWfRecorderEncoderArgs(encoding.video, '-c', '-p'));
+        if (encoding.video.pixelFormat) {
+            cmd.push('--pixel-format', encoding.video.pixelFormat);
+        }
+        if (options.replay) {
+            // Keyframe interval matching the replay segments
+            cmd.push('-p', `g=${(options.framerate || 30) * REPLAY_SEGMENT_TIME}`);
+        }
+
+        if (!pipeAudio && !options.replay && !options.stream) {
+            cmd.push('-f', options.output);
+            return cmd;
+        }
+
+        // Stream Matroska to stdout and let ffmpeg add the audio, split the
+        // stream into replay segments or send it over the network
+        cmd.push('-m', 'matroska', '-f', 'pipe:1');
+        const ffmpeg = ['ffmpeg', this.overwriteArg(options), ...FFMPEG_LOG_ARGS, '-i', 'pipe:0'];
+        if (pipeAudio) {
+            this.pushAudioInputs(ffmpeg, audioSources);
+            ffmpeg.push('-map', '0:v');
+            this.pushAudioMapping(ffmpeg, audioSources, 1, options);
+            ffmpeg.push('-c:v', 'copy', ...this.getEncoderArgs(encoding.audio, 'a'));
+        } else {
+            ffmpeg.push(...(options.stream ? ['-map', '0'] : []), '-c', 'copy');
+        }
+        ffmpeg.push(...this.getOutputArgs(options));
+        return [cmd, ffmpeg];
+    }
+
+    // The codec name a hardware encoding backend uses for an encoder
+    hardwareCodec(backend, encoder) {
+        const codec = HARDWARE_CODECS[backend][encoder.codec];
+        if (!codec) {
+            throw new Error(`The ${backend} backend can't encode ${encoder.codec} (use --codec ${Object.keys(HARDWARE_CODECS[backend]).join(', ')})`);
+        }
+        return codec;
+    }
+
+    warnHardwareQuality(backend, options) {
+        if (options.crf !== null || options.preset || options.bitrate || options.audioBitrate) {
+            this.warn(`${backend} encodes in hardware, --crf, --preset and bitrate options are ignored`);
+        }
+    }
+
+    // wl-screenrec records a single audio device, encoded on the GPU
+    async buildWlScreenrecCommand(options) {
+        const cmd = ['wl-screenrec'];
+        const encoding = this.resolveEncoding(options);
+        this.warnHardwareQuality('wl-screenrec', options);
+
+        if (options.monitor) {
+            const monitor = await this.resolveMonitor(options.monitor);
+            cmd.push('-o', monitor.name);
+        }
+        if (options.area) {
+            const area = await this.resolveArea(options);
+            cmd.push('-g', `${area.x},${area.y} ${area.width}x${area.height}`);
+        }
+
+        const audioSources = await this.getAudioSources(options);
+        if (this.needsAudioMixing(audioSources)) {
+            throw new Error('The wl-screenrec backend records a single audio source at full volume, without filters');
+        }
+        if (audioSources.length > 0) {
+            cmd.push('--audio');
+            if (audioSources[0].device !== 'default') {
+                cmd.push('--audio-device', audioSources[0].device);
+            }
+        }
+
+        cmd.push('--codec', this.hardwareCodec('wl-screenrec', encoding.video), '-f', options.output);
+        return cmd;
+    }
+
+    // gpu-screen-recorder merges audio devices joined with | into one
+    // track and gives each -a its own track
+    async buildGpuScreenRecorderCommand(options) {
+        const encoding = this.resolveEncoding(options);
+        this.warnHardwareQuality('gpu-screen-recorder', options);
+
+        let target = 'screen';
+        if (options.window && this.isWayland) {
+            // Wayland has no window ids, the portal lets the user pick one
+            this.notify('🎯 Pick the window in the screen cast dialog...');
+            target = 'portal';
+        } else if (options.window) {
+            await this.selectWindow(options);
+            // Decimal, like xwininfo's -int
+            target = String(parseInt(options.window.id, 16));
+        } else if (options.monitor) {
+            target = (await this.resolveMonitor(options.monitor)).name;
+        } else if (options.area) {
+            target = 'region';
+        }
+        const cmd = ['gpu-screen-recorder', '-w', target];
+        if (target === 'region') {
+            const { x, y, width, height } = await this.resolveArea(options);
+            cmd.push('-region', `${width}x${height}+${x}+${y}`);
+        }
+        cmd.push('-f', String(options.framerate));
+
+        const audioSources = await this.getAudioSources(options);
+        if (audioSources.some(source => source.volume !== 1 || source.filters.length > 0)) {
+            throw new Error("The gpu-screen-recorder backend can't change the volume of audio sources or filter them");
+        }
+        const devices = audioSources.map(({ type, device }) => {
+            if (device === 'default' || device === '@DEFAULT_MONITOR@') {
+                return type === 'system' ? 'default_output' : 'default_input';
+            }
+            return device;
+        });
+        if (devices.length > 0) {
+            const tracks = options.audioTracks === 'separate' ? devices : [devices.join('|')];
+            tracks.forEach(track => cmd.push('-a', track));
+            cmd.push('-ac', this.hardwareCodec('gpu-screen-recorder', encoding.audio));
+        }
+
+        const quality = { draft: 'medium', balanced: 'high', archive: 'very_high' }[encoding.quality];
+        cmd.push('-k', this.hardwareCodec('gpu-screen-recorder', encoding.video), '-q', quality, '-o', options.output);
+        return cmd;
+    }
+
+    async buildAudioOnlyCommand(options) {
+        // silencedetect only reports at the info level
+        const logArgs = options.stopOnSilence ? ['-hide_banner', '-loglevel', 'level+info'] : FFMPEG_LOG_ARGS;
+        const cmd = ['ffmpeg', this.overwriteArg(options), ...logArgs];
+        const format = this.outputFormat(options);
+
+        // Audio input sources (microphone, system monitor or both)
+        const audioSources = await this.getAudioSources(options);
+        if (audioSources.length > 1 && options.audioTracks === 'separate' && format !== 'ogg') {
+            throw new Error(`${format} files hold a single audio track, use ogg for separate tracks`);
+        }
+        this.pushAudioInputs(cmd, audioSources);
+        if (this.needsAudioMixing(audioSources) || options.stopOnSilence) {
+            this.pushAudioMapping(cmd, audioSources, 0, options);
+        } else if (options.stream) {
+            cmd.push('-map', '0:a');
+        }
+
+        // Audio codec based on format and quality options
+        cmd.push(...this.getEncoderArgs(this.resolveEncoding(options).audio, 'a'));
+
+        // Audio files get a title even without --title
+        if (!options.title) {
+            cmd.push('-metadata', `title=Audio Recording ${new Date().toISOString()}`);
+        }
+        cmd.push(...this.metadataArgs(options));
+
+        cmd.push(...this.getOutputArgs(options));
+        return cmd;
+    }
+
+    // x11grab can't move its capture area, so follow mode grabs the whole
+    // screen and updates the crop filter through ffmpeg's interactive
+    // "c" command on stdin whenever the window moves or is resized
+    followWindow(window, child) {
+        let current = window;
+        let polling = false;
+        const timer = setInterval(async () => {
+            if (polling) {
+                return;
+            }
+            polling = true;
+            try {
+                const geometry = this.fitToScreen(await this.getWindowGeometry(window.id), await this.getScreenSize());
+                const changed = ['x', 'y', 'width', 'height'].some(key => geometry[key] !== current[key]);
+                if (changed && child.stdin.writable) {
+                    child.stdin.write(`ccrop@window -1 w ${geometry.width}\n`);
+                    child.stdin.write(`ccrop@window -1 h ${geometry.height}\n`);
+                    child.stdin.write(`ccrop@window -1 x ${geometry.x}\n`);
+                    child.stdin.write(`ccrop@window -1 y ${geometry.y}\n`);
+                    current = geometry;
+                }
+            } catch {
+                // The window is unmapped or gone, keep the last position
+            } finally {
+                polling = false;
+            }
+        }, 500);
+        child.on('close', () => clearInterval(timer));
+    }
+
+    // Builders return a single argv, or a list of argvs piped into each other
+    toPipeline(cmd) {
+        return Array.isArray(cmd[0]) ? cmd : [cmd];
+    }
+
+    // Segments are hidden files next to the output so the final rename or
+    // concat stays on the same filesystem. The name keeps the output's file
+    // name so `recover` knows where an interrupted segment belongs.
+    segmentPath(output, index, crashSafe) {
+        const ext = crashSafe ? this.intermediateExtension(output) : path.extname(output);
+        return path.join(path.dirname(output), `.${path.basename(output)}.part${index}${ext}`);
+    }
+
+    // mp4/mov need their index (moov atom) written at the end and avi its
+    // idx1 chunk, so an interrupted file is unplayable. Matroska stays
+    // readable up to the last written cluster and is remuxed on stop.
+    intermediateExtension(output) {
+        const ext = path.extname(output);
+        return ['.mp4', '.mov', '.avi'].includes(ext.toLowerCase()) ? '.mkv' : ext;
+    }
+
+    spawnPipeline(stages, options) {
+        // Each stage reads the previous one's stdout directly, so the pipe
+        // doesn't go through this process
+        const processes = [];
+        for (const stage of stages) {
+            const previous = processes[processes.length - 1];
+            processes.push(spawn(stage[0], stage.slice(1), {
+                // Don't pipe stdin to avoid mouse issues, unless ffmpeg takes filter commands on it
+                stdio: [previous ? previous.stdout : (options.followWindow ? 'pipe' : 'ignore'), 'pipe', 'pipe']
+            }));
+        }
+
+        processes.forEach(child => child.stderr.on('data', (data) => {
+            // ffmpeg redraws its status line with \r
+            for (const line of data.toString().split(/[\r\n]+/)) {
+                this.handleStderrLine(line.trim());
+            }
+        }));
+
+        // Failing to start shows up as a non-zero exit, reported with this reason
+        processes.forEach(child => child.on('error', (error) => {
+            if (this.session) {
+                this.session.lastError = `Process error: ${error.message}`;
+            }
+        }));
+
+        return processes;
+    }
+
+    // Whether ffmpeg fails is decided by its exit code. Warnings and
+    // errors it logs along the way are passed on as warnings, and the last
+    // lines are kept to explain a failed exit.
+    handleStderrLine(line) {
+        const session = this.session;
+        if (!line || !session) {
+            return;
+        }
+        // Errors about the stream quote its URL, key included
+        line = this.maskStreamKeys(line);
+        const stats = this.parseProgress(line);
+        if (stats) {
+            session.stats = stats;
+            return;
+        }
+
+        session.stderrTail = [...session.stderrTail.slice(-4), line];
+        if (session.options.stopOnSilence && line.includes('silence_start:')) {
+            this.notify(`🤫 No sound for ${session.options.stopOnSilence}s, stopping`);
+            this.stopRecording('silence');
+            return;
+        }
+        const slaveFailed = line.match(/Slave muxer #\d+ failed: (.*?), continuing with/);
+        if (slaveFailed && session.options.stream) {
+            this.streamDropped(slaveFailed[1]);
+            return;
+        }
+        const logged = line.match(/\[(warning|error|fatal)\]\s*(.*)$/);
+        if (logged) {
+            const context = line.match(/^\[([\w-]+) @ [^\]]+\]/);
+            const message = context ? `${context[1]}: ${logged[2]}` : logged[2];
+            if (logged[1] !== 'warning') {
+                session.lastError = message;
+            }
+            this.warn(message);
+        }
+    }
+
+    // The error for a capture that exited on its own
+    captureError(code) {
+        const session = this.session;
+        const reason = session.lastError || session.stderrTail[session.stderrTail.length - 1];
+        if (session.options.stream && !session.options.output) {
+            return new Error(this.streamFailure(reason));
+        }
+        return new Error(`Capture exited with code ${code}${reason ? `: ${reason}` : ''}`);
+    }
+
+    // Reads ffmpeg's "frame=  120 fps= 30 ... time=00:00:04.00 bitrate=2048.0kbits/s speed=1x" line
+    parseProgress(line) {
+        if (!line.includes('time=')) {
+            return null;
+        }
+        const fields = {};
+        for (const [, key, value] of line.matchAll(/(\w+)=\s*(\S+)/g)) {
+            fields[key] = value;
+        }
+        const number = value => (value === undefined || isNaN(parseFloat(value)) ? null : parseFloat(value));
+        return {
+            frame: number(fields.frame),
+            fps: number(fields.fps),
+            bitrate: number(fields.bitrate),
+            speed: number(fields.speed)
+        };
+    }
+
+    // Emits a progress event about once a second with the totals so far
+    // and the encoder's latest stats
+    reportProgress() {
+        const session = this.session;
+        if (!session || !session.started || session.paused || session.stopRequested) {
+            return;
+        }
+        const now = Date.now();
+        if (session.lastProgress && now - session.lastProgress < 1000) {
+            return;
+        }
+        session.lastProgress = now;
+
+        const { frame = null, fps = null, bitrate = null, speed = null } = session.stats;
+        this.emit('progress', {
+            // Frame counts restart with every segment
+            frame: frame === null && session.frames === 0 ? null : session.frames + (frame || 0),
+            fps,
+            bitrate,
+            speed,
+            time: this.getRecordedTime() / 1000,
+            size: this.getRecordedSize()
+        });
+    }
+
+    // Points a built command at this run's output file and, for the
+    // segment muxer, the number of its first file
+    retargetStage(stage, output, target, startNumber) {
+        return stage.map((arg, index) => {
+            if (arg === output) {
+                return target;
+            }
+            // The local copy is the last output of a tee
+            if (output && stage[index - 1] === 'tee' && arg.endsWith(`|${this.teeEscape(output)}`)) {
+                return `${arg.slice(0, -this.teeEscape(output).length)}${this.teeEscape(target)}`;
+            }
+            if (startNumber !== undefined && stage[index - 1] === '-segment_start_number') {
+                return String(startNumber);
+            }
+            return arg;
+        });
+    }
+
+    // Where the next run of the capture writes: the segment muxer's output
+    // and start number, a numbered file of a rotated recording, or
+    // otherwise a hidden segment that is joined into the output at the end.
+    // rotatedNumber is the number of a rotated recording's next file, when
+    // the previous ones may still be remuxing and aren't on disk yet.
+    nextSegment(options, index, rotatedNumber = null) {
+        if (!options.output) {
+            return { segment: null }; // Only streamed
+        }
+        if (this.usesSegmentMuxer(options)) {
+            return { segment: options.output, startNumber: this.nextRotatedNumber(options.output) };
+        }
+        if (this.isRotating(options)) {
+            const number = rotatedNumber || this.nextRotatedNumber(options.output);
+            const rotatedFile = this.rotatedPath(options.output, number);
+            return { segment: this.segmentPath(rotatedFile, 0, options.crashSafe), rotatedFile, number };
+        }
+        return { segment: this.segmentPath(options.output, index, options.crashSafe) };
+    }
+
+    // Records one segment and resolves with the exit code of the last stage
+    recordSegment(stages, output, segment, startNumber) {
+        const segmentStages = stages.map(stage => this.retargetStage(stage, output, segment, startNumber));
+        const processes = this.spawnPipeline(segmentStages, this.session.options);
+        const recordingProcess = processes[processes.length - 1];
+
+        // Stopping the first stage lets the rest of the pipeline drain and finish
+        this.ffmpegProcess = processes[0];
+        this.session.segmentStartedAt = Date.now();
+
+        if (this.session.options.window && this.session.options.followWindow) {
+            this.followWindow(this.session.options.window, recordingProcess);
+        }
+
+        return new Promise((resolve) => {
+            recordingProcess.on('close', (code) => {
+                this.ffmpegProcess = null;
+                this.session.recordedTime += Date.now() - this.session.segmentStartedAt;
+                this.session.segmentStartedAt = null;
+                this.session.frames += this.session.stats.frame || 0;
+                this.session.stats = {};
+                resolve(code);
+            });
+        });
+    }
+
+    // Runs a pipeline to its end and resolves with the exit code of the last stage
+    runPipeline(stages) {
+        const processes = this.spawnPipeline(stages, this.session.options);
+        return new Promise(resolve => processes[processes.length - 1].on('close', resolve));
+    }
+
+    pauseRecording() {
+        const session = this.session;
+        if (session && session.pauseRequested && session.resumeRequested) {
+            // Paused, resumed and paused again before the first pause landed
+            session.resumeRequested = false;
+            return true;
+        }
+        // A timelapse has no capture running between frames
+        const capturing = this.ffmpegProcess || (session && session.started && session.options.timelapse);
+        if (!session || session.paused || session.pauseRequested || !capturing) {
+            return false;
+        }
+        session.pauseRequested = true;
+        if (this.ffmpegProcess) {
+            this.ffmpegProcess.kill('SIGINT');
+        }
+        return true;
+    }
+
+    resumeRecording() {
+        const session = this.session;
+        if (session && session.pauseRequested && !session.resumeRequested) {
+            // The capture is already stopping, so it resumes as soon as it has
+            session.resumeRequested = true;
+            return true;
+        }
+        if (!session || !session.paused) {
+            return false;
+        }
+        session.wake('resume');
+        return true;
+    }
+
+    // Paused, or about to be. A pending pause counts, so a second toggle
+    // right after the first resumes instead of failing.
+    isPaused() {
+        const session = this.session;
+        return Boolean(session) && !session.resumeRequested && (session.paused || session.pauseRequested);
+    }
+
+    togglePause() {
+        return this.isPaused() ? this.resumeRecording() : this.pauseRecording();
+    }
+
+    // reason ends up in the finished event: requested, duration, max-size or disk-full
+    stopRecording(reason = 'requested') {
+        const session = this.session;
+        if (!session || session.stopRequested) {
+            return;
+        }
+        this.notify('⏹️  Stopping recording...');
+        session.stopRequested = true;
+        session.stopReason = reason;
+        if (session.paused) {
+            session.wake('stop');
+        } else if (this.ffmpegProcess) {
+            this.ffmpegProcess.kill('SIGINT');
+        }
+    }
+
+    // Keys in the terminal and signals drive the handle of a CLI recording
+    attachControls(handle, replay) {
+        const handleStop = () => handle.stop();
+        // There is nothing to pause in replay mode, so SIGUSR1 saves a clip there
+        const handlePause = () => replay ? handle.saveReplay() : handle.pause();
+        const handleResume = () => handle.resume();
+        const handleMarker = () => handle.addMarker();
+
+        process.on('SIGINT', handleStop);
+        process.on('SIGTERM', handleStop);
+        process.on('SIGUSR1', handlePause);
+        process.on('SIGUSR2', handleResume);
+        // Ignored by default, so sending it to an older version harms nothing
+        process.on('SIGURG', handleMarker);
+
+        const stdin = process.stdin;
+        const handleKey = (data) => {
+            const key = data.toString();
+            if (replay && (key === 's' || key === ' ')) {
+                handle.saveReplay();
+            } else if (!replay && (key === 'p' || key === ' ')) {
+                handle.togglePause();
+            } else if (!replay && key === 'm') {
+                handle.addMarker();
+            } else if (key === 'q' || key === '\u0003') {
+                // Raw mode turns Ctrl+C into a key press
+                handle.stop();
+            }
+        };
+        if (stdin.isTTY) {
+            stdin.setRawMode(true);
+            stdin.on('data', handleKey);
+            stdin.resume();
+        }
+
+        return () => {
+            process.removeListener('SIGINT', handleStop);
+            process.removeListener('SIGTERM', handleStop);
+            process.removeListener('SIGUSR1', handlePause);
+            process.removeListener('SIGUSR2', handleResume);
+            process.removeListener('SIGURG', handleMarker);
+            if (stdin.isTTY) {
+                stdin.removeListener('data', handleKey);
+                stdin.setRawMode(false);
+                stdin.pause();
+            }
+        };
+    }
+
+    // --on-start, --on-stop, --on-finish and --notify. The returned function
+    // runs the finish hook once the recording is done and resolves when
+    // every hook has ended. Hooks are only told about the recording, so
+    // whatever they do, the files and the exit code stay as they are.
+    attachHooks(handle, options, json) {
+        let finished = false;
+        let lastError = null;
+        let notifyFailed = false;
+        const hooks = [];
+
+        // Hook problems show up like any other warning, also once the
+        // session's events are no longer forwarded
+        const warn = (message) => {
+            if (!finished) {
+                this.warn(message);
+            } else if (json) {
+                this.writeJson('warning', { message });
+            } else {
+                console.warn(`⚠️  ${message}`);
+            }
+        };
+        const hook = (command, flag, data) => {
+            hooks.push(this.runHook(command, data, json).catch(error => warn(`${flag} hook failed: ${error.message}`)));
+        };
+        const notify = (title, body, urgent = false) => {
+            if (!options.notify) {
+                return Promise.resolve();
+            }
+            return this.desktopNotify(title, body, urgent).catch((error) => {
+                // Usually no notification daemon, which won't change
+                if (!notifyFailed) {
+                    notifyFailed = true;
+                    // The last line is what notify-send said
+                    warn(`Desktop notification failed: ${error.message.split('\n').pop()}`);
+                }
+            });
+        };
+
+        handle.on('error', (error) => {
+            lastError = error.message;
+        });
+        handle.on('start', ({ output }) => {
+            if (options.onStart) {
+                hook(options.onStart, '--on-start', { event: 'start', output, files: [], duration: 0, size: 0, exitCode: null, stopReason: null });
+            }
+            if (options.replay) {
+                hooks.push(notify('Replay buffer started', `Clips are saved next to ${output}`));
+            } else if (!options.screenshot) {
+                hooks.push(notify('Recording started', output || this.maskStreamKeys(options.stream)));
+            }
+        });
+        handle.on('stopped', ({ output, duration, size, stopReason }) => {
+            if (options.onStop) {
+                hook(options.onStop, '--on-stop', { event: 'stop', output, files: [], duration, size, exitCode: null, stopReason });
+            }
+        });
+        handle.on('finished', () => {
+            finished = true;
+        });
+
+        return async (summary, exitCode) => {
+            const { output, files, duration, size, stopReason } = summary;
+            if (options.onFinish) {
+                hook(options.onFinish, '--on-finish', { event: 'finish', output, files, duration, size, exitCode, stopReason });
+            }
+
+            if (exitCode !== EXIT_CODES.ok && exitCode !== EXIT_CODES.diskFull) {
+                hooks.push(notify('Recording failed', lastError || `Exit code ${exitCode}`, true));
+            } else if (options.replay) {
+                hooks.push(notify('Replay buffer stopped', `${files.length} clip(s) saved`));
+            } else if (options.screenshot) {
+                hooks.push(notify('Screenshot saved', output));
+            } else if (!output) {
+                hooks.push(notify('Stream ended', `Streamed for ${this.formatElapsed(duration)}`));
+            } else {
+                const title = exitCode === EXIT_CODES.diskFull ? 'Recording stopped, disk nearly full' : 'Recording saved';
+                const saved = files.length === 1 ? files[0] : `${files.length} files`;
+                hooks.push(notify(title, `${saved}\n${this.formatElapsed(duration)}, ${(size / 1024 / 1024).toFixed(1)} MB`));
+            }
+            await Promise.all(hooks);
+        };
+    }
+
+    // Runs a hook through the shell, with the recording's details in
+    // LREC_* variables and as a JSON line on stdin. Rejects when it can't
+    // be started or exits non-zero.
+    runHook(command, data, json) {
+        const env = {
+            ...process.env,
+            LREC_EVENT: data.event,
+            LREC_OUTPUT: data.output || '',
+            LREC_FILES: data.files.join('\n'),
+            LREC_DURATION: String(data.duration),
+            LREC_SIZE: String(data.size),
+            LREC_EXIT_CODE: data.exitCode === null ? '' : String(data.exitCode),
+            LREC_STOP_REASON: data.stopReason || ''
+        };
+        return new Promise((resolve, reject) => {
+            // With --json the hook's output goes to stderr, keeping stdout parseable
+            const child = spawn(command, { shell: true, env, stdio: ['pipe', json ? process.stderr : 'inherit', 'inherit'] });
+            child.on('error', reject);
+            child.on('close', (code, signal) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(signal ? `killed by ${signal}` : `exit code ${code}`));
+                }
+            });
+            // Hooks that don't read stdin close it before it's written
+            child.stdin.on('error', () => {});
+            child.stdin.end(`${JSON.stringify(data)}\n`);
+        });
+    }
+
+    desktopNotify(title, body, urgent = false) {
+        const args = ['-a', 'lrec', '-i', urgent ? 'dialog-error' : 'media-record'];
+        if (urgent) {
+            args.push('-u', 'critical');
+        }
+        return this.runProcess(['notify-send', ...args, title, body]);
+    }
+
+    controlSocketPath() {
+        return path.join(process.env.XDG_RUNTIME_DIR || os.tmpdir(), 'lrec.sock');
+    }
+
+    describeVideoSource(options) {
+        if (!options.recordVideo) {
+            return null;
+        }
+        if (options.window) {
+            return `window ${options.window.title || options.window.id || options.window.spec}`;
+        }
+        if (options.monitor) {
+            return `monitor ${options.monitor}`;
+        }
+        if (options.area && !options.area.interactive) {
+            return `area ${options.area.width}x${options.area.height}+${options.area.x}+${options.area.y}`;
+        }
+        return options.area ? 'area' : 'fullscreen';
+    }
+
+    // Recorded time in milliseconds, leaving out paused stretches
+    getRecordedTime() {
+        const session = this.session;
+        const running = session.segmentStartedAt ? Date.now() - session.segmentStartedAt : 0;
+        return session.recordedTime + running;
+    }
+
+    getRecordedSize() {
+        const session = this.session;
+        if (session.options.timelapse) {
+            return session.frameBytes; // The video is only made once stopped
+        }
+        if (session.options.screenshot) {
+            return fs.existsSync(session.options.output) ? fs.statSync(session.options.output).size : 0;
+        }
+        if (this.isRotating(session.options)) {
+            // Covers files the segment muxer is writing, minus deleted ones
+            let current = 0;
+            try {
+                current = session.currentSegment ? fs.statSync(session.currentSegment).size : 0;
+            } catch {
+                // Not created yet
+            }
+            return this.listRotatedFiles(session.options.output)
+                .reduce((total, { size }) => total + size, current);
+        }
+        const files = session.currentSegment ? [...session.segments, session.currentSegment] : session.segments;
+        return files.reduce((total, file) => {
+            try {
+                return total + fs.statSync(file).size;
+            } catch {
+                return total;
+            }
+        }, 0);
+    }
+
+    getSessionStatus() {
+        const session = this.session;
+        return {
+            state: !session.started ? 'starting' : session.replay ? 'replay' : session.paused ? 'paused' : 'recording',
+            elapsed: Math.round(this.getRecordedTime() / 100) / 10,
+            output: session.options.output ? path.resolve(session.options.output) : null,
+            stream: session.options.stream ? this.maskStreamKeys(session.options.stream) : null,
+            size: session.started ? this.getRecordedSize() : 0,
+            markers: session.markers.length,
+            sources: {
+                video: this.describeVideoSource(session.options),
+                audio: session.audioSources.map(({ type, device }) => ({ type, device }))
+            },
+            pid: process.pid
+        };
+    }
+
+    async handleControlCommand(command, request = {}) {
+        if (!this.session) {
+            return { ok: false, error: 'No recording is running' };
+        }
+        switch (command) {
+            case 'status':
+                return { ok: true, ...this.getSessionStatus() };
+            case 'save': {
+                try {
+                    return { ok: true, state: 'replay', clip: await this.saveReplayClip() };
+                } catch (error) {
+                    if (error.saved !== false) {
+                        this.reportError(error);
+                    }
+                    return { ok: false, state: 'replay', error: error.message };
+                }
+            }
+            case 'stop':
+                this.stopRecording();
+                return { ok: true, state: 'stopping' };
+            case 'pause':
+                return { ok: this.pauseRecording(), state: 'paused' };
+            case 'resume':
+                return { ok: this.resumeRecording(), state: 'recording' };
+            case 'toggle': {
+                const wasPaused = this.isPaused();
+                return { ok: this.togglePause(), state: wasPaused ? 'recording' : 'paused' };
+            }
+            case 'mark': {
+                if (this.session.replay || this.session.options.screenshot) {
+                    return { ok: false, error: 'Markers need a recording, not --replay or --screenshot' };
+                }
+                const marker = this.addMarker(request.label);
+                return marker ? { ok: true, state: 'marked', marker } : { ok: false, error: 'The recording has not started or is stopping' };
+            }
+            default:
+                return { ok: false, error: `Unknown command: ${command}` };
+        }
+    }
+
+    // Other processes (window manager shortcuts, scripts) control the
+    // recording through newline-delimited JSON on a Unix socket
+    async startControlServer() {
+        const socketPath = this.controlSocketPath();
+
+        if (fs.existsSync(socketPath)) {
+            try {
+                await this.sendControlCommand('status');
+                throw new Error(`Another recording is already running (${socketPath})`);
+            } catch (error) {
+                if (error.code !== 'ECONNREFUSED' && error.code !== 'ENOENT') {
+                    throw error;
+                }
+                // Left over from a recorder that didn't exit cleanly
+                fs.unlinkSync(socketPath);
+            }
+        }
+
+        const server = net.createServer((socket) => {
+            let buffer = '';
+            socket.on('data', async (data) => {
+                buffer += data.toString();
+                const newline = buffer.indexOf('\n');
+                if (newline === -1) {
+                    return;
+                }
+                let response;
+                try {
+                    const request = JSON.parse(buffer.slice(0, newline));
+                    response = await this.handleControlCommand(request.command, request);
+                } catch (error) {
+                    response = { ok: false, error: error.message };
+                }
+                socket.end(`${JSON.stringify(response)}\n`);
+            });
+            socket.on('error', () => {});
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(socketPath, resolve);
+        });
+        fs.chmodSync(socketPath, 0o600);
+
+        return () => {
+            server.close();
+            try {
+                fs.unlinkSync(socketPath);
+            } catch {
+                // Already removed
+            }
+        };
+    }
+
+    sendControlCommand(command, data = {}) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(this.controlSocketPath());
+            let buffer = '';
+            socket.on('connect', () => socket.write(`${JSON.stringify({ command, ...data })}\n`));
+            socket.on('data', (data) => { buffer += data.toString(); });
+            socket.on('end', () => {
+                try {
+                    resolve(JSON.parse(buffer));
+                } catch {
+                    reject(new Error('Invalid response from the recorder'));
+                }
+            });
+            socket.on('error', reject);
+        });
+    }
+
+    async runControlCommand(command, data = {}) {
+        let response;
+        try {
+            response = await this.sendControlCommand(command, data);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+                throw new Error('No recording is running');
+            }
+            throw error;
+        }
+
+        if (command === 'status') {
+            console.log(JSON.stringify(response, null, 2));
+        } else if (command === 'save' && response.ok) {
+            console.log(`💾 Replay saved to: ${response.clip}`);
+        } else if (command === 'mark' && response.ok) {
+            console.log(`🔖 ${response.marker.label} at ${this.formatElapsed(response.marker.time)}`);
+        } else if (response.ok) {
+            console.log(response.state === 'paused' ? '⏸️  Recording paused' :
+                response.state === 'stopping' ? '⏹️  Stopping recording' : '▶️  Recording resumed');
+        } else {
+            throw new Error(response.error || `Recording is already ${response.state}`);
+        }
+    }
+
+    // Accepts seconds (90), units (1h30m, 2m, 45s) or clock notation (01:30)
+    parseDuration(value, flag) {
+        const text = String(value).trim();
+        let seconds = null;
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            seconds = parseFloat(text);
+        } else if (/^(\d+:){1,2}\d+(\.\d+)?$/.test(text)) {
+            seconds = text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+        } else if (/^(\d+h)?(\d+m)?(\d+(\.\d+)?s)?$/.test(text) && text) {
+            const units = { h: 3600, m: 60, s: 1 };
+            seconds = [...text.matchAll(/(\d+(?:\.\d+)?)([hms])/g)]
+                .reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0);
+        }
+        if (seconds === null || seconds <= 0) {
+            throw new Error(`Invalid time for ${flag}: ${value} (e.g. 90, 1m30s, 01:30)`);
+        }
+        return seconds;
+    }
+
+    // Accepts bytes or a K/M/G suffix (binary units)
+    parseSize(value, flag) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i);
+        if (!match || parseFloat(match[1]) <= 0) {
+            throw new Error(`Invalid size for ${flag}: ${value} (e.g. 500M, 2G)`);
+        }
+        const multipliers = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+        return Math.round(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+    }
+
+    // HH:MM[:SS] today (or tomorrow if already past), or any date Date can parse
+    parseStartTime(value) {
+        const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        if (clock) {
+            const start = new Date();
+            start.setHours(parseInt(clock[1]), parseInt(clock[2]), parseInt(clock[3] || '0'), 0);
+            if (start <= new Date()) {
+                start.setDate(start.getDate() + 1);
+            }
+            return start;
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid time for --start-at: ${value} (e.g. 14:30 or 2025-01-31T14:30)`);
+        }
+        return date;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Sleeps in short steps so that a stop request ends the wait early
+    async waitUnlessStopped(ms) {
+        const until = Date.now() + ms;
+        while (!this.session.stopRequested && Date.now() < until) {
+            await this.sleep(Math.min(250, until - Date.now()));
+        }
+    }
+
+    async waitForStart(options) {
+        if (options.startAt) {
+            const wait = options.startAt.getTime() - Date.now();
+            if (wait > 0) {
+                this.notify(`🕒 Waiting until ${options.startAt.toLocaleString()} to start...`);
+                await this.waitUnlessStopped(wait);
+            }
+        }
+
+        if (options.delay) {
+            for (let remaining = Math.ceil(options.delay); remaining > 0 && !this.session.stopRequested; remaining--) {
+                this.emit('countdown', remaining);
+                await this.waitUnlessStopped(1000);
+            }
+            if (!this.session.stopRequested) {
+                this.emit('countdown', 0);
+            }
+        }
+    }
+
+    // Stops the recording like a manual stop once a --duration or
+    // --max-size limit is reached
+    checkLimits() {
+        const session = this.session;
+        if (!session || session.stopRequested || session.paused) {
+            return;
+        }
+
+        const now = Date.now();
+        if (!session.lastDiskCheck || now - session.lastDiskCheck >= 5000) {
+            session.lastDiskCheck = now;
+            this.checkDiskSpace();
+        }
+        if (this.isRotating(session.options)) {
+            this.checkRotation();
+            if (session.options.keepSegments && (!session.lastRetention || now - session.lastRetention >= 1000)) {
+                session.lastRetention = now;
+                this.applyRetention();
+            }
+        }
+
+        const { duration, maxSize } = session.options;
+        if (duration && this.getRecordedTime() >= duration * 1000) {
+            this.notify(`⏱️  Reached the ${duration}s duration`);
+            this.stopRecording('duration');
+        } else if (maxSize && this.getRecordedSize() >= maxSize) {
+            this.notify(`💾 Reached the ${(maxSize / 1024 / 1024).toFixed(1)} MB size limit`);
+            this.stopRecording('max-size');
+        }
+    }
+
+    isRotating(options) {
+        return Boolean(options.segmentTime || options.segmentSize);
+    }
+
+    // ffmpeg's segment muxer splits by time without gaps. Splitting by size,
+    // or wf-recorder output, needs a restart of the capture instead.
+    usesSegmentMuxer(options) {
+        return Boolean(options.segmentTime) && !options.segmentSize &&
+            (!options.recordVideo || this.resolveBackend(options).segmentMuxer);
+    }
+
+    // name.mp4 becomes name-001.mp4, name-002.mp4, ...
+    rotatedPath(output, number) {
+        const ext = path.extname(output);
+        const suffix = typeof number === 'number' ? String(number).padStart(3, '0') : number;
+        return path.join(path.dirname(output), `${path.basename(output, ext)}-${suffix}${ext}`);
+    }
+
+    // Numbered files of a rotated recording, oldest first
+    listRotatedFiles(output) {
+        const ext = path.extname(output);
+        const base = path.basename(output, ext);
+        const dir = path.dirname(output);
+        const pattern = new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d+)${ext.replace('.', '\\.')}$`);
+        let entries;
+        try {
+            entries = fs.readdirSync(dir);
+        } catch {
+            return [];
+        }
+        return entries
+            .map(file => ({ file, match: file.match(pattern) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const fullPath = path.join(dir, file);
+                let size = 0;
+                try {
+                    size = fs.statSync(fullPath).size;
+                } catch {
+                    // Removed by retention meanwhile
+                }
+                return { file: fullPath, number: parseInt(match[1]), size };
+            })
+            .sort((a, b) => a.number - b.number);
+    }
+
+    nextRotatedNumber(output) {
+        const files = this.listRotatedFiles(output);
+        return files.length > 0 ? files[files.length - 1].number + 1 : 1;
+    }
+
+    rotateSegment() {
+        const session = this.session;
+        if (!session || session.rotateRequested || !this.ffmpegProcess) {
+            return;
+        }
+        session.rotateRequested = true;
+        this.ffmpegProcess.kill('SIGINT');
+    }
+
+    // Restarts the capture into the next file when the current one is due
+    checkRotation() {
+        const session = this.session;
+        const { segmentTime, segmentSize } = session.options;
+        if (!session.currentSegment || !session.segmentStartedAt) {
+            return;
+        }
+        let size = 0;
+        try {
+            size = fs.statSync(session.currentSegment).size;
+        } catch {
+            // Not created yet
+        }
+        if ((segmentTime && Date.now() - session.segmentStartedAt >= segmentTime * 1000) ||
+            (segmentSize && size >= segmentSize)) {
+            this.rotateSegment();
+        }
+    }
+
+    // Deletes the oldest files beyond --keep-segments
+    applyRetention() {
+        const { output, keepSegments } = this.session.options;
+        const files = this.listRotatedFiles(output);
+        for (const { file } of files.slice(0, Math.max(0, files.length - keepSegments))) {
+            try {
+                fs.unlinkSync(file);
+                this.notify(`🗑️  Removed old segment: ${file}`);
+            } catch {
+                // Already gone
+            }
+        }
+    }
+
+    // Warns when the output filesystem runs low and stops the recording
+    // cleanly before it fills up
+    checkDiskSpace() {
+        const session = this.session;
+        if (!session.options.output) {
+            return; // Only streaming
+        }
+        const dir = path.dirname(path.resolve(session.options.output));
+        if (fs.statfsSync) {
+            let free;
+            try {
+                const stats = fs.statfsSync(dir);
+                free = stats.bavail * stats.bsize;
+            } catch {
+                return;
+            }
+            this.handleFreeSpace(free);
+            return;
+        }
+
+        // Node < 18.15 has no statfs. The last line of df -Pk has the
+        // available 1K blocks in its fourth column.
+        execFile('df', ['-Pk', dir], (error, stdout) => {
+            if (this.session !== session || session.stopRequested) {
+                return;
+            }
+            const available = error ? NaN : parseInt(stdout.trim().split('\n').pop().split(/\s+/)[3]);
+            if (isNaN(available)) {
+                if (!session.diskGuardOff) {
+                    session.diskGuardOff = true;
+                    this.warn('Could not read the free space of the output filesystem (statfs needs Node 18.15, df failed), the disk-space guard is off');
+                }
+                return;
+            }
+            this.handleFreeSpace(available * 1024);
+        });
+    }
+
+    handleFreeSpace(free) {
+        const session = this.session;
+        const { minFree } = session.options;
+        const freeMb = (free / 1024 / 1024).toFixed(0);
+        if (free < minFree) {
+            this.notify(`💽 Only ${freeMb} MB left on the output filesystem, stopping`);
+            this.stopRecording('disk-full');
+        } else if (free < minFree * 2 && !session.diskWarned) {
+            session.diskWarned = true;
+            this.warn(`Only ${freeMb} MB left on the output filesystem`);
+        }
+    }
+
+    // Joins the recorded segments into the output without re-encoding.
+    // outputArgs are needed for the metadata, which the concat demuxer
+    // doesn't pass on.
+    async concatSegments(segments, output, outputArgs = []) {
+        if (segments.length === 1 && path.extname(segments[0]) === path.extname(output)) {
+            fs.renameSync(segments[0], output);
+            return;
+        }
+
+        await this.concatFiles(segments, output, [], outputArgs);
+        segments.forEach(segment => fs.unlinkSync(segment));
+    }
+
+    // Concatenates files with ffmpeg's concat demuxer, remuxing into the
+    // container of the output. inputArgs go before the concat input,
+    // outputArgs before the output.
+    async concatFiles(files, output, inputArgs = [], outputArgs = []) {
+        const listFile = path.join(path.dirname(output), `.${path.basename(output)}.segments.txt`);
+        const list = files.map(file => `file '${path.resolve(file).replace(/'/g, "'\\''")}'`);
+        fs.writeFileSync(listFile, `${list.join('\n')}\n`);
+
+        const cmd = ['ffmpeg', '-y', ...inputArgs, '-f', 'concat', '-safe', '0', '-i', listFile, '-map', '0', '-c', 'copy', ...outputArgs];
+        if (['.mp4', '.mov'].includes(path.extname(output).toLowerCase())) {
+            // Put the index first so players can start before the whole file loads
+            cmd.push('-movflags', '+faststart');
+        }
+        cmd.push(output);
+        try {
+            await this.runProcess(cmd);
+        } finally {
+            fs.unlinkSync(listFile);
+        }
+    }
+
+    // Hidden segments left behind by recordings that were killed, grouped
+    // by the output they belong to
+    findIntermediates(dir) {
+        const groups = new Map();
+        for (const file of fs.readdirSync(dir)) {
+            const match = file.match(/^\.(.+)\.part(\d+)\.\w+$/);
+            if (!match) {
+                continue;
+            }
+            const fullPath = path.join(dir, file);
+            if (fs.statSync(fullPath).size === 0) {
+                continue;
+            }
+            const output = path.join(dir, match[1]);
+            if (!groups.has(output)) {
+                groups.set(output, []);
+            }
+            groups.get(output).push({ file: fullPath, index: parseInt(match[2]) });
+        }
+        for (const [output, parts] of groups) {
+            groups.set(output, parts.sort((a, b) => a.index - b.index).map(({ file }) => file));
+        }
+        return groups;
+    }
+
+    // Turns leftover intermediates into playable files. target is the
+    // output that was being recorded, one of its segments, or a directory.
+    async recoverRecordings(target = '.') {
+        const isDir = fs.existsSync(target) && fs.statSync(target).isDirectory();
+        const dir = isDir ? target : path.dirname(target);
+        let groups = this.findIntermediates(dir);
+
+        if (!isDir) {
+            const name = path.basename(target);
+            const segmentOf = name.match(/^\.(.+)\.part\d+\.\w+$/);
+            const output = path.join(dir, segmentOf ? segmentOf[1] : name);
+            groups = new Map([...groups].filter(([key]) => key === output));
+        }
+        if (groups.size === 0) {
+            throw new Error(`No interrupted recordings found for ${target}`);
+        }
+
+        for (const [output, parts] of groups) {
+            let destination = output;
+            if (fs.existsSync(destination)) {
+                const ext = path.extname(output);
+                destination = path.join(dir, `${path.basename(output, ext)}-recovered${ext}`);
+            }
+            this.notify(`🩹 Recovering ${parts.length} segment(s) into ${destination}...`);
+            // The last segment usually ends mid-cluster
+            await this.concatFiles(parts, destination, ['-fflags', '+discardcorrupt', '-err_detect', 'ignore_err']);
+            parts.forEach(part => fs.unlinkSync(part));
+            this.notify(`✅ Recovered: ${destination}`);
+        }
+    }
+
+    // In the order postProcess runs them
+    postProcessingSteps(options) {
+        return [
+            (options.trimStart || options.trimEnd) && 'trim',
+            options.normalize !== null && 'normalize',
+            options.thumbnail !== null && 'thumbnail',
+            options.gif && 'gif',
+            options.compress && 'compress'
+        ].filter(Boolean);
+    }
+
+    hasPostProcessing(options) {
+        return this.postProcessingSteps(options).length > 0;
+    }
+
+    checkPostProcessing(options) {
+        if (!this.hasPostProcessing(options)) {
+            return;
+        }
+        if (options.replay || this.isRotating(options)) {
+            throw new Error('Trimming and converting work on a single recording, not with --replay, --segment-time or --segment-size');
+        }
+        if (!options.recordVideo && (options.gif || options.thumbnail !== null || options.compress)) {
+            throw new Error('--gif, --thumbnail and --compress need a video recording');
+        }
+    }
+
+    checkAudioFilters(options) {
+        const micRecorded = options.recordAudio && (!options.internalAudio || options.bothAudio);
+        if ((options.denoise || options.noiseGate !== null) && !micRecorded) {
+            throw new Error('--denoise and --noise-gate clean up the microphone, record it with -A, -B or --audio-only');
+        }
+        if (options.denoiseModel && !fs.existsSync(options.denoiseModel)) {
+            throw new Error(`Denoise model not found: ${options.denoiseModel}`);
+        }
+        const separate = options.bothAudio && options.audioTracks === 'separate';
+        if (options.normalize !== null) {
+            if (!options.recordAudio) {
+                throw new Error('--normalize needs audio (-A, -I, -B or --audio-only)');
+            }
+            if (separate) {
+                throw new Error('--normalize works on a single track, not with --audio-tracks separate');
+            }
+        }
+        if (options.stopOnSilence) {
+            if (!options.audioOnly) {
+                throw new Error('--stop-on-silence is for audio-only recordings (--audio-only or --internal-only)');
+            }
+            if (separate) {
+                throw new Error('--stop-on-silence listens to a single track, not --audio-tracks separate');
+            }
+        }
+    }
+
+    postProcessingTools(options) {
+        if (!this.hasPostProcessing(options)) {
+            return [];
+        }
+        // ffprobe reads the duration for --trim-end and --compress
+        return options.trimEnd || options.compress ? ['ffmpeg', 'ffprobe'] : ['ffmpeg'];
+    }
+
+    async probeDuration(file) {
+        const output = await this.runProcess(['ffprobe', '-v', 'error', '-show_entries', 'format=duration',
+            '-of', 'default=noprint_wrappers=1:nokey=1', file]);
+        const duration = parseFloat(output);
+        if (isNaN(duration)) {
+            throw new Error(`Could not read the duration of ${file}`);
+        }
+        return duration;
+    }
+
+    // Trims a recording and makes the files derived from it, emitting a
+    // processed event for each. Trimming replaces the recording when
+    // inPlace is set and writes name-trimmed next to it otherwise; the
+    // thumbnail, GIF and compressed copy are made from the trimmed version.
+    async postProcess(input, options, inPlace = false, results = []) {
+        options = { ...this.defaultOptions(), ...options };
+        const done = (step, file) => {
+            const result = { step, file: path.resolve(file), size: fs.statSync(file).size };
+            results.push(result);
+            this.emit('processed', result);
+        };
+        const extension = path.extname(input);
+        const base = path.join(path.dirname(input), path.basename(input, extension));
+        let source = input;
+
+        if (options.trimStart || options.trimEnd) {
+            const target = inPlace ? input : this.availablePath(`${base}-trimmed${extension}`, options.ifExists);
+            const temp = path.join(path.dirname(input), `.${path.basename(target)}.trimming${extension}`);
+            this.notify(`✂️  Trimming ${path.basename(input)}...`);
+            try {
+                await this.runProcess(await this.buildTrimCommand(input, temp, options));
+                fs.renameSync(temp, target);
+            } finally {
+                fs.rmSync(temp, { force: true });
+            }
+            done('trim', target);
+            source = target;
+        }
+
+        if (options.normalize !== null) {
+            // A file made by trimming is normalized in place as well
+            const target = inPlace || source !== input ? source : this.availablePath(`${base}-normalized${extension}`, options.ifExists);
+            const temp = path.join(path.dirname(input), `.${path.basename(target)}.normalizing${extension}`);
+            this.notify(`🔊 Normalizing the loudness to ${options.normalize} LUFS...`);
+            try {
+                await this.runProcess(await this.buildNormalizeCommand(source, temp, options));
+                fs.renameSync(temp, target);
+            } finally {
+                fs.rmSync(temp, { force: true });
+            }
+            done('normalize', target);
+            source = target;
+        }
+
+        if (options.thumbnail !== null) {
+            const target = this.availablePath(`${base}.jpg`, options.ifExists);
+            const cmd = ['ffmpeg', '-y', ...FFMPEG_LOG_ARGS];
+            if (options.thumbnail === true) {
+                // The thumbnail filter picks the most typical of the first 100 frames
+                cmd.push('-i', source, '-vf', 'thumbnail');
+            } else {
+                cmd.push('-ss', String(options.thumbnail), '-i', source);
+            }
+            cmd.push('-frames:v', '1', '-q:v', '2', target);
+            this.notify('🖼️  Extracting the thumbnail...');
+            await this.runProcess(cmd);
+            done('thumbnail', target);
+        }
+
+        if (options.gif) {
+            const target = this.availablePath(`${base}.gif`, options.ifExists);
+            const scale = options.gifWidth ? `,scale=${options.gifWidth}:-1:flags=lanczos` : '';
+            // A palette made for this clip instead of the generic 256 colours,
+            // with diff stats and rectangle updates since screen content is mostly static
+            const filter = `[0:v]fps=${options.gifFps}${scale},split[frames][copy];` +
+                '[copy]palettegen=stats_mode=diff[palette];' +
+                '[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle';
+            this.notify('🎞️  Making the GIF...');
+            await this.runProcess(['ffmpeg', '-y', ...FFMPEG_LOG_ARGS, '-i', source, '-filter_complex', filter, '-loop', '0', target]);
+            done('gif', target);
+        }
+
+        if (options.compress) {
+            const format = options.compressFormat;
+            const target = this.availablePath(`${base}-small.${format}`, options.ifExists);
+            this.notify(`📦 Compressing to ${(options.compress / 1024 / 1024).toFixed(1)} MB...`);
+            const passes = this.buildCompressCommands(source, target, options, await this.probeDuration(source));
+            try {
+                for (const cmd of passes.commands) {
+                    await this.runProcess(cmd);
+                }
+            } finally {
+                passes.logFiles.forEach(file => fs.rmSync(file, { force: true }));
+            }
+            done('compress', target);
+        }
+        return results;
+    }
+
+    // Cuts are frame accurate because the kept part is encoded again, with
+    // the codecs the recording was made with
+    async buildTrimCommand(input, output, options) {
+        const start = options.trimStart || 0;
+        const cmd = ['ffmpeg', '-y', ...FFMPEG_LOG_ARGS, '-ss', String(start), '-i', input];
+        if (options.trimEnd) {
+            const duration = await this.probeDuration(input);
+            const length = duration - start - options.trimEnd;
+            if (length <= 0) {
+                throw new Error(`Trimming ${start + options.trimEnd}s leaves nothing of the ${duration.toFixed(1)}s recording`);
+            }
+            cmd.push('-t', length.toFixed(3));
+        }
+
+        const encoding = this.resolveEncoding({ ...options, output: input, stream: null, recordAudio: true });
+        if (encoding.video) {
+            cmd.push('-map', '0:v?', ...this.getEncoderArgs(encoding.video, 'v'));
+        }
+        cmd.push('-map', '0:a?', ...this.getEncoderArgs(encoding.audio, 'a'));
+        if (['.mp4', '.mov'].includes(path.extname(output).toLowerCase())) {
+            cmd.push('-movflags', '+faststart');
+        }
+        cmd.push(output);
+        return cmd;
+    }
+
+    // EBU R128 loudnorm in two passes: the first measures the first audio
+    // track, the second applies one linear gain from those numbers so the
+    // dynamics stay as recorded. Other streams are copied.
+    async buildNormalizeCommand(input, output, options) {
+        const loudnorm = `loudnorm=I=${options.normalize}:TP=-1.5:LRA=11`;
+        const report = await this.runProcess(['ffmpeg', '-hide_banner', '-nostats', '-i', input, '-map', '0:a:0',
+            '-af', `${loudnorm}:print_format=json`, '-f', 'null', '-'], 'stderr');
+        const json = report.match(/\{[^{}]*"input_i"[^{}]*\}/);
+        if (!json) {
+            throw new Error(`${path.basename(input)} has no audio to normalize`);
+        }
+        const measured = JSON.parse(json[0]);
+        const filter = `${loudnorm}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+            `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+            `:offset=${measured.target_offset}:linear=true`;
+
+        const encoding = this.resolveEncoding({ ...options, output: input, stream: null, recordVideo: false, recordAudio: true,
+            codec: null, crf: null, preset: null, bitrate: null });
+        // loudnorm works at 192 kHz, so the rate is set back
+        const cmd = ['ffmpeg', '-y', ...FFMPEG_LOG_ARGS, '-i', input, '-map', '0', '-c', 'copy',
+            '-filter:a:0', filter, '-ar:a:0', '48000', ...this.getEncoderArgs(encoding.audio, 'a:0')];
+        if (['.mp4', '.mov'].includes(path.extname(output).toLowerCase())) {
+            cmd.push('-movflags', '+faststart');
+        }
+        cmd.push(output);
+        return cmd;
+    }
+
+    // Two-pass encode to a bitrate that makes the file about the target
+    // size, capped at 1280 pixels wide
+    buildCompressCommands(input, output, options, duration) {
+        const audioBitrate = 96 * 1000;
+        // Leaves a little room for the container
+        const videoBitrate = Math.floor((options.compress * 8 * 0.97) / duration) - audioBitrate;
+        if (videoBitrate < 100 * 1000) {
+            throw new Error(`${(options.compress / 1024 / 1024).toFixed(1)} MB is too small for ${duration.toFixed(1)}s of video`);
+        }
+        const [videoCodec, audioCodec] = options.compressFormat === 'webm' ? ['libvpx-vp9', 'libopus'] : ['libx264', 'aac'];
+        const logFile = path.join(os.tmpdir(), `lrec-pass-${process.pid}`);
+        const video = ['-i', input, '-map', '0:v:0', '-vf', 'scale=min(1280\\,iw):-2', '-c:v', videoCodec,
+            '-pix_fmt', 'yuv420p', '-b:v', String(videoBitrate), '-passlogfile', logFile];
+        const output2 = ['-map', '0:a:0?', '-c:a', audioCodec, '-b:a', String(audioBitrate)];
+        if (options.compressFormat === 'mp4') {
+            output2.push('-movflags', '+faststart');
+        }
+        return {
+            commands: [
+                ['ffmpeg', '-y', ...FFMPEG_LOG_ARGS, ...video, '-pass', '1', '-an', '-f', 'null', '-'],
+                ['ffmpeg', '-y', ...FFMPEG_LOG_ARGS, ...video, '-pass', '2', ...output2, output]
+            ],
+            logFiles: [`${logFile}-0.log`, `${logFile}-0.log.mbtree`]
+        };
+    }
+
+    // lrec convert INPUT with the post-processing flags of a recording
+    async runConvert(args, json) {
+        let options;
+        try {
+            options = this.parseArgs(args);
+            if (options.command || !options.output) {
+                throw new Error('Usage: convert INPUT [--trim-start TIME] [--trim-end TIME] [--thumbnail [TIME]] [--gif] [--compress SIZE]');
+            }
+            if (!fs.existsSync(options.output)) {
+                throw new Error(`${options.output} doesn't exist`);
+            }
+            if (!this.hasPostProcessing(options)) {
+                throw new Error('Nothing to do, add --trim-start, --trim-end, --thumbnail, --gif or --compress');
+            }
+            options.recordVideo = !this.supportedAudioFormats.includes(this.getFileExtension(options.output));
+            this.checkPostProcessing(options);
+        } catch (error) {
+            error.exitCode = EXIT_CODES.usage;
+            throw error;
+        }
+
+        const missing = await this.checkDependencies({ ...options, recordVideo: false });
+        if (missing.length > 0) {
+            const error = new Error(`Missing dependencies: ${missing.join(', ')}`);
+            error.exitCode = EXIT_CODES.dependencies;
+            throw error;
+        }
+
+        if (json) {
+            this.printJsonEvents(this);
+        } else {
+            this.printEvents(this);
+        }
+        const processed = [];
+        try {
+            await this.postProcess(options.output, options, false, processed);
+        } catch (error) {
+            error.exitCode = error.exitCode || EXIT_CODES.finalize;
+            throw error;
+        }
+        if (json) {
+            this.writeJson('summary', { output: path.resolve(options.output), processed, exitCode: EXIT_CODES.ok });
+        }
+    }
+
+    getReplayDir() {
+        const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+        return path.join(cacheHome, 'lrec', `replay-${process.pid}`);
+    }
+
+    // Buffered segments, oldest first, covering at least the replay length.
+    // The newest one is still being written and is included so the clip
+    // reaches up to the moment it was saved.
+    getReplaySegments() {
+        const dir = this.getReplayDir();
+        const count = Math.ceil(this.session.options.replay / REPLAY_SEGMENT_TIME) + 1;
+        return fs.readdirSync(dir)
+            .filter(file => file.startsWith('replay-'))
+            .map(file => ({ file: path.join(dir, file), stat: fs.statSync(path.join(dir, file)) }))
+            .filter(({ stat }) => stat.size > 0)
+            .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+            .slice(-count)
+            .map(({ file }) => file);
+    }
+
+    replayClipPath(output) {
+        const ext = path.extname(output) || '.mp4';
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return path.join(path.dirname(output), `${path.basename(output, ext)}-${timestamp}${ext}`);
+    }
+
+    // Resolves with the clip, or with null once the reason was reported
+    async saveReplay() {
+        try {
+            return await this.saveReplayClip();
+        } catch (error) {
+            if (error.saved === false) {
+                this.warn(error.message);
+            } else {
+                this.reportError(error);
+            }
+            return null;
+        }
+    }
+
+    // Like saveReplay, but rejects with the reason, which is what the
+    // control socket answers. saved is false when nothing was attempted.
+    async saveReplayClip() {
+        const session = this.session;
+        const notSaved = (message) => Object.assign(new Error(message), { saved: false });
+        if (!session || !session.replay) {
+            throw notSaved('Not running in --replay mode');
+        }
+        if (session.saving) {
+            throw notSaved('A clip is already being saved');
+        }
+
+        const segments = this.getReplaySegments();
+        if (segments.length === 0) {
+            throw notSaved('Nothing buffered yet');
+        }
+
+        session.saving = true;
+        const clip = this.replayClipPath(session.options.output);
+        try {
+            await this.concatFiles(segments, clip, [], this.metadataArgs(session.options));
+        } catch (error) {
+            throw new Error(`Failed to save replay: ${error.message}`);
+        } finally {
+            session.saving = false;
+        }
+        session.clips.push(clip);
+        this.emit('clip', { file: path.resolve(clip) });
+        return clip;
+    }
+
+    // Captures continuously into the replay buffer until stopped; clips of
+    // the last options.replay seconds are saved on demand
+    async startReplay(options) {
+        const session = this.session;
+        await this.prepareOutput(options);
+        const cmd = await this.buildFFmpegCommand(options);
+        const stages = this.toPipeline(cmd);
+        session.audioSources = await this.getAudioSources(options);
+
+        await this.waitForStart(options);
+        if (session.stopRequested) {
+            return this.summarize(0);
+        }
+
+        const replayDir = this.getReplayDir();
+        fs.mkdirSync(replayDir, { recursive: true });
+        const limitTimer = setInterval(() => {
+            this.checkLimits();
+            this.reportProgress();
+        }, 250);
+
+        let code;
+        try {
+            session.started = true;
+            this.emit('start', { output: path.resolve(options.output), command: stages, replay: options.replay });
+            code = await this.recordSegment(stages, options.output, options.output);
+            // A capture that ends on its own has failed, one we stopped hasn't
+            if (session.stopRequested) {
+                code = 0;
+            } else if (code !== 0) {
+                this.reportError(this.captureError(code));
+            }
+        } finally {
+            clearInterval(limitTimer);
+            fs.rmSync(replayDir, { recursive: true, force: true });
+        }
+        this.emitStopped();
+
+        return this.summarize(code);
+    }
+
+    // Saves a single frame once the delay or start time has passed
+    async startScreenshot(options) {
+        const session = this.session;
+        await this.prepareOutput(options);
+        const stages = this.toPipeline(await this.buildScreenshotCommand(options, options.output));
+
+        await this.waitForStart(options);
+        if (session.stopRequested) {
+            return this.summarize(0);
+        }
+
+        session.started = true;
+        this.emit('start', { output: path.resolve(options.output), command: stages });
+        const code = await this.runPipeline(stages);
+        if (code !== 0) {
+            this.reportError(this.captureError(code));
+        }
+        this.emitStopped();
+        return this.summarize(code);
+    }
+
+    // Grabs a frame every options.timelapse seconds and makes the video
+    // of them once stopped. Pausing stops the grabbing until resumed.
+    async startTimelapse(options) {
+        const session = this.session;
+        await this.prepareOutput(options);
+        const framesDir = fs.mkdtempSync(this.framesDirPrefix(options.output));
+        const pattern = path.join(framesDir, '%06d.png');
+        let stages;
+        try {
+            stages = this.toPipeline(await this.buildScreenshotCommand(options, pattern));
+            await this.waitForStart(options);
+        } catch (error) {
+            fs.rmSync(framesDir, { recursive: true, force: true });
+            throw error;
+        }
+        if (session.stopRequested) {
+            fs.rmSync(framesDir, { recursive: true, force: true });
+            return this.summarize(0);
+        }
+
+        const limitTimer = setInterval(() => {
+            this.checkLimits();
+            this.reportProgress();
+        }, 250);
+
+        let code = 0;
+        try {
+            session.started = true;
+            this.emit('start', { output: path.resolve(options.output), command: stages });
+            session.segmentStartedAt = Date.now();
+            while (!session.stopRequested) {
+                const grabbedAt = Date.now();
+                const frame = path.join(framesDir, `${String(session.frames + 1).padStart(6, '0')}.png`);
+                code = await this.runPipeline(stages.map(stage => this.retargetStage(stage, pattern, frame)));
+                session.stats = {}; // Progress counts frames, not ffmpeg's single one
+                if (code !== 0) {
+                    this.reportError(this.captureError(code));
+                    break;
+                }
+                session.frames++;
+                session.frameBytes += fs.statSync(frame).size;
+
+                const next = grabbedAt + options.timelapse * 1000;
+                while (!session.stopRequested && !session.pauseRequested && Date.now() < next) {
+                    await this.sleep(Math.min(250, next - Date.now()));
+                }
+                if (session.pauseRequested) {
+                    session.recordedTime += Date.now() - session.segmentStartedAt;
+                    session.segmentStartedAt = null;
+                    session.pauseRequested = false;
+                    session.paused = true;
+                    this.emit('paused');
+                    const action = session.resumeRequested ? 'resume' : await new Promise(resolve => { session.wake = resolve; });
+                    session.resumeRequested = false;
+                    session.paused = false;
+                    if (action === 'stop') {
+                        break;
+                    }
+                    this.emit('resumed');
+                    session.segmentStartedAt = Date.now();
+                }
+            }
+        } finally {
+            clearInterval(limitTimer);
+            if (session.segmentStartedAt) {
+                session.recordedTime += Date.now() - session.segmentStartedAt;
+                session.segmentStartedAt = null;
+            }
+        }
+        this.emitStopped();
+
+        // Frames that were grabbed still make a video when a grab fails
+        if (session.frames > 0) {
+            this.notify(`🎞️  Making a ${(session.frames / options.timelapseFps).toFixed(1)}s video of ${session.frames} frame(s)...`);
+            try {
+                await this.runProcess(this.buildTimelapseCommand(pattern, options));
+                fs.rmSync(framesDir, { recursive: true, force: true });
+            } catch (error) {
+                session.finalizeFailed = true;
+                this.reportError(new Error(`Failed to make the timelapse, the frames are kept in ${framesDir}: ${error.message}`));
+                code = code || 1;
+            }
+        } else {
+            fs.rmSync(framesDir, { recursive: true, force: true });
+        }
+        await this.tagRecording(code, options, true);
+        await this.postProcessRecording(code, options);
+        this.writeMarkerFiles(options);
+        return this.summarize(code);
+    }
+
+    // Like runCommand, but with an argv so paths need no shell quoting.
+    // Resolves with stdout, or with stderr for tools that report there.
+    runProcess(cmd, output = 'stdout') {
+        return new Promise((resolve, reject) => {
+            execFile(cmd[0], cmd.slice(1), { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    // Progress lines end with \r, only what follows the last one is kept
+                    const lines = stderr.trim().split('\n').map(line => line.split('\r').pop()).filter(Boolean);
+                    error.message = `${error.message.split('\n')[0]}\n${lines.slice(-3).join('\n')}`;
+                    reject(error);
+                } else {
+                    resolve((output === 'stderr' ? stderr : stdout).trim());
+                }
+            });
+        });
+    }
+
+    async startRecording(options) {
+        const session = this.session;
+        await this.prepareOutput(options);
+        const cmd = await this.buildFFmpegCommand(options);
+        const stages = this.toPipeline(cmd);
+        session.audioSources = await this.getAudioSources(options);
+
+        await this.waitForStart(options);
+        if (session.stopRequested) {
+            return this.summarize(0);
+        }
+
+        // Also keeps the main process alive while paused, when no child is running
+        const limitTimer = setInterval(() => {
+            this.checkLimits();
+            this.reportProgress();
+        }, 250);
+
+        // Rotated recordings write numbered files that are kept as they are,
+        // otherwise the segments are joined into the output at the end
+        const rotating = this.isRotating(options);
+        const muxer = this.usesSegmentMuxer(options);
+
+        let code;
+        let announced = false;
+        try {
+            session.started = true;
+            while (true) {
+                const { segment, startNumber, rotatedFile, number } = this.nextSegment(options, session.segments.length, session.rotatedNumber);
+                if (!announced) {
+                    // The command as it is spawned, writing to the first part
+                    const command = stages.map(stage => this.retargetStage(stage, options.output, segment, startNumber));
+                    this.emit('start', { output: options.output ? path.resolve(options.output) : null, command });
+                    announced = true;
+                }
+                if (rotatedFile) {
+                    this.emit('segment', { file: path.resolve(rotatedFile) });
+                }
+                session.currentSegment = muxer ? null : segment;
+                const runStartedAt = Date.now();
+                code = await this.recordSegment(stages, options.output, segment, startNumber);
+                session.currentSegment = null;
+                clearTimeout(session.reconnectTimer);
+
+                // ffmpeg exits non-zero when interrupted, which is fine when we asked it to stop
+                const requested = session.pauseRequested || session.stopRequested || session.rotateRequested ||
+                    session.reconnectRequested;
+                if (rotatedFile && fs.existsSync(segment) && fs.statSync(segment).size > 0) {
+                    // Remux in the background while the next file is recorded,
+                    // which gets the next number right away
+                    session.rotatedNumber = number + 1;
+                    session.finalizing = session.finalizing
+                        .then(() => this.concatSegments([segment], rotatedFile, this.metadataArgs(options)))
+                        .catch((error) => {
+                            session.finalizeFailed = true;
+                            this.reportError(new Error(`Failed to finalize ${rotatedFile}: ${error.message}`));
+                        });
+                } else if (!muxer && fs.existsSync(segment) && fs.statSync(segment).size > 0) {
+                    session.segments.push(segment);
+                }
+                if (requested) {
+                    code = 0;
+                } else if (code !== 0 && options.stream && !options.output) {
+                    // Without a local copy the capture ends with the stream
+                    const reason = session.lastError || 'the connection closed';
+                    const delay = this.nextStreamRetry(Date.now() - runStartedAt);
+                    if (delay !== null) {
+                        this.warn(`Stream lost (${reason}), reconnecting in ${delay}s (attempt ${session.streamAttempts} of ${options.streamRetries})`);
+                        session.lastError = null;
+                        await this.waitUnlessStopped(delay * 1000);
+                        if (!session.stopRequested) {
+                            continue;
+                        }
+                        code = 0;
+                    } else {
+                        this.reportError(this.captureError(code));
+                    }
+                } else if (code !== 0) {
+                    this.reportError(this.captureError(code));
+                }
+                if (!requested || session.stopRequested) {
+                    break;
+                }
+                if ((session.rotateRequested || session.reconnectRequested) && !session.pauseRequested) {
+                    session.rotateRequested = false;
+                    session.reconnectRequested = false;
+                    continue;
+                }
+                session.rotateRequested = false;
+                session.reconnectRequested = false;
+
+                session.pauseRequested = false;
+                session.paused = true;
+                this.emit('paused');
+                const action = session.resumeRequested ? 'resume' : await new Promise(resolve => { session.wake = resolve; });
+                session.resumeRequested = false;
+                session.paused = false;
+                if (action === 'stop') {
+                    break;
+                }
+                this.emit('resumed');
+            }
+        } finally {
+            clearInterval(limitTimer);
+            clearTimeout(session.reconnectTimer);
+        }
+        this.emitStopped();
+
+        if (rotating) {
+            await session.finalizing;
+            if (options.keepSegments) {
+                this.applyRetention();
+            }
+            this.writeMarkerFiles(options);
+            return this.summarize(code);
+        }
+        if (session.segments.length > 0) {
+            try {
+                await this.concatSegments(session.segments, options.output, this.metadataArgs(options));
+            } catch (error) {
+                session.finalizeFailed = true;
+                this.reportError(new Error(`Failed to join segments: ${error.message}`));
+                code = code || 1;
+            }
+        }
+        // Metadata is already in files that ffmpeg wrote
+        await this.tagRecording(code, options, stages[stages.length - 1][0] === 'ffmpeg');
+        await this.postProcessRecording(code, options);
+        this.writeMarkerFiles(options);
+        return this.summarize(code);
+    }
+
+    // Post-processes a saved recording in place. A failure is reported
+    // like a failed join, and the recording is kept as it was.
+    async postProcessRecording(code, options) {
+        const session = this.session;
+        if (code !== 0 || session.finalizeFailed || !this.hasPostProcessing(options) || !fs.existsSync(options.output)) {
+            return;
+        }
+        try {
+            await this.postProcess(options.output, options, true, session.processed);
+        } catch (error) {
+            session.finalizeFailed = true;
+            this.reportError(new Error(`Post-processing failed: ${error.message}`));
+        }
+    }
+
+    // The capture is over, but joining and post-processing may still take
+    // a while before finished
+    emitStopped() {
+        const session = this.session;
+        this.emit('stopped', {
+            output: session.options.output ? path.resolve(session.options.output) : null,
+            duration: Math.round(this.getRecordedTime() / 100) / 10,
+            size: this.getRecordedSize(),
+            stopReason: session.stopReason
+        });
+    }
+
+    // Marks the current moment of a recording at its recorded time, so
+    // pauses are left out, or at the video time of a timelapse
+    addMarker(label = null) {
+        const session = this.session;
+        if (!session || !session.started || session.replay || session.options.screenshot || session.stopRequested) {
+            return null;
+        }
+        const marker = {
+            time: Math.round(this.getMarkerTime() * 1000) / 1000,
+            label: String(label || '').replace(/\s+/g, ' ').trim() || `Marker ${session.markers.length + 1}`,
+            at: new Date().toISOString()
+        };
+        session.markers.push(marker);
+        this.emit('marker', marker);
+        return marker;
+    }
+
+    // Seconds into the video of the recording
+    getMarkerTime() {
+        const { options, frames } = this.session;
+        return options.timelapse ? frames / options.timelapseFps : this.getRecordedTime() / 1000;
+    }
+
+    // Each marker starts a chapter that runs to the next one or to the end.
+    // offset moves them back for a trimmed start, and chapters outside
+    // the part that was kept are left out.
+    markerChapters(markers, end, offset = 0) {
+        return markers.map((marker, index) => ({
+            start: Math.max(0, marker.time - offset),
+            end: Math.min(index + 1 < markers.length ? markers[index + 1].time : end, end) - offset,
+            label: marker.label,
+            at: marker.at
+        })).filter(chapter => chapter.end > chapter.start);
+    }
+
+    // FFmpeg's metadata file format, with the chapters in milliseconds
+    ffmetadata(chapters) {
+        const escape = text => text.replace(/[=;#\\]/g, '\\$&');
+        const lines = chapters.flatMap(({ start, end, label }) => ['[CHAPTER]', 'TIMEBASE=1/1000',
+            `START=${Math.round(start * 1000)}`, `END=${Math.round(end * 1000)}`, `title=${escape(label)}`]);
+        return `${[';FFMETADATA1', ...lines].join('\n')}\n`;
+    }
+
+    webvtt(chapters) {
+        const timestamp = (seconds) => {
+            const ms = Math.round(seconds * 1000);
+            return `${this.formatElapsed(Math.floor(ms / 1000))}.${String(ms % 1000).padStart(3, '0')}`;
+        };
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const cues = chapters.map(({ start, end, label }, index) =>
+            `${index + 1}\n${timestamp(start)} --> ${timestamp(end)}\n${escape(label)}\n`);
+        return `WEBVTT\n\n${cues.join('\n')}`;
+    }
+
+    // Writes the markers into the saved recording as chapters, in the
+    // containers that have them, and the metadata when the capture tool
+    // wrote the file without ffmpeg. A failure is reported like a failed
+    // join, and the recording is kept as it was.
+    async tagRecording(code, options, tagged) {
+        const session = this.session;
+        const { output } = options;
+        if (code !== 0 || session.finalizeFailed || !output || !fs.existsSync(output)) {
+            return;
+        }
+        const chapters = CHAPTER_FORMATS.includes(this.getFileExtension(output))
+            ? this.markerChapters(session.markers, this.getMarkerTime()) : [];
+        const metadata = tagged ? [] : this.metadataArgs(options);
+        if (chapters.length === 0 && metadata.length === 0) {
+            return;
+        }
+
+        const extension = path.extname(output);
+        const temp = path.join(path.dirname(output), `.${path.basename(output)}.tagging${extension}`);
+        const metadataFile = path.join(path.dirname(output), `.${path.basename(output)}.chapters.txt`);
+        const cmd = ['ffmpeg', '-y', ...FFMPEG_LOG_ARGS, '-i', output];
+        if (chapters.length > 0) {
+            this.notify(`🔖 Adding ${chapters.length} chapter(s)...`);
+            fs.writeFileSync(metadataFile, this.ffmetadata(chapters));
+            cmd.push('-f', 'ffmetadata', '-i', metadataFile, '-map_chapters', '1');
+        }
+        cmd.push('-map', '0', '-c', 'copy', ...metadata);
+        if (['.mp4', '.mov'].includes(extension.toLowerCase())) {
+            cmd.push('-movflags', '+faststart');
+        }
+        cmd.push(temp);
+        try {
+            await this.runProcess(cmd);
+            fs.renameSync(temp, output);
+        } catch (error) {
+            session.finalizeFailed = true;
+            this.reportError(new Error(`Failed to add the chapters and metadata: ${error.message}`));
+        } finally {
+            fs.rmSync(temp, { force: true });
+            fs.rmSync(metadataFile, { force: true });
+        }
+    }
+
+    // The markers next to the recording as name.chapters.json and
+    // name.chapters.vtt, with the times of the saved file. Rotated
+    // recordings get one pair with the times of the whole session.
+    writeMarkerFiles(options) {
+        const session = this.session;
+        if (session.markers.length === 0 || !options.output) {
+            return;
+        }
+        const trimmed = session.processed.some(({ step }) => step === 'trim');
+        const offset = trimmed ? options.trimStart || 0 : 0;
+        const end = this.getMarkerTime() - (trimmed ? options.trimEnd || 0 : 0);
+        const chapters = this.markerChapters(session.markers, end, offset).map(chapter => ({
+            ...chapter,
+            start: Math.round(chapter.start * 1000) / 1000,
+            end: Math.round(chapter.end * 1000) / 1000
+        }));
+        if (chapters.length === 0) {
+            return;
+        }
+
+        const extension = path.extname(options.output);
+        const base = path.join(path.dirname(options.output), path.basename(options.output, extension));
+        const files = [
+            [`${base}.chapters.json`, `${JSON.stringify({ file: path.resolve(options.output), chapters }, null, 2)}\n`],
+            [`${base}.chapters.vtt`, this.webvtt(chapters)]
+        ];
+        try {
+            for (const [file, text] of files) {
+                fs.writeFileSync(file, text);
+                const result = { step: 'chapters', file: path.resolve(file), size: fs.statSync(file).size };
+                session.processed.push(result);
+                this.emit('processed', result);
+            }
+        } catch (error) {
+            session.finalizeFailed = true;
+            this.reportError(new Error(`Failed to write the chapter files: ${error.message}`));
+        }
+    }
+
+    // What a session produced, passed with the finished event: for rotated
+    // recordings the numbered files, in replay mode the saved clips
+    summarize(code) {
+        const session = this.session;
+        const { options } = session;
+        let files;
+        if (!options.output) {
+            files = []; // Failed before the file name was picked
+        } else if (session.replay) {
+            files = session.clips.map(clip => path.resolve(clip));
+        } else if (this.isRotating(options)) {
+            files = this.listRotatedFiles(options.output).map(({ file }) => path.resolve(file));
+        } else {
+            files = fs.existsSync(options.output) ? [path.resolve(options.output)] : [];
+        }
+        // Retention or a background remux can remove a file after it was listed
+        const saved = files.map((file) => {
+            try {
+                return { file, size: fs.statSync(file).size };
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+        const encoding = this.resolveEncoding(options);
+        return {
+            code,
+            output: options.output ? path.resolve(options.output) : null,
+            files: saved.map(({ file }) => file),
+            duration: Math.round(this.getRecordedTime() / 100) / 10,
+            size: saved.reduce((total, { size }) => total + size, 0),
+            codecs: {
+                video: encoding.video ? encoding.video.codec : null,
+                audio: encoding.audio ? encoding.audio.codec : null
+            },
+            stopReason: session.stopReason,
+            finalizeFailed: session.finalizeFailed,
+            processed: session.processed,
+            markers: session.markers
+        };
+    }
+
+    // Pausing ends the current segment, resuming starts the next one
+    createSession(options) {
+        return {
+            options,
+            replay: Boolean(options.replay),
+            clips: [],
+            saving: false,
+            started: false,
+            segments: [],
+            paused: false,
+            pauseRequested: false,
+            resumeRequested: false,
+            rotatedNumber: null,
+            stopRequested: false,
+            rotateRequested: false,
+            reconnectRequested: false,
+            reconnectTimer: null,
+            streamConnected: false,
+            streamAttempts: 0,
+            recordedTime: 0,
+            segmentStartedAt: null,
+            currentSegment: null,
+            finalizing: Promise.resolve(),
+            audioSources: [],
+            stats: {},
+            frames: 0,
+            frameBytes: 0,
+            stderrTail: [],
+            lastError: null,
+            stopReason: null,
+            finalizeFailed: false,
+            processed: [],
+            markers: [],
+            wake: null
+        };
+    }
+
+    defaultOptions() {
+        return {
+            recordVideo: true,
+            recordAudio: false,
+            internalAudio: false,
+            framerate: 30,
+            output: null,
+            area: null,
+            window: null,
+            followWindow: false,
+            monitor: null,
+            audioDevice: null,
+            audioOnly: false,
+            bothAudio: false,
+            micVolume: 1,
+            systemVolume: 1,
+            audioTracks: 'mix',
+            quality: 'balanced',
+            codec: null,
+            crf: null,
+            preset: null,
+            bitrate: null,
+            audioCodec: null,
+            audioBitrate: null,
+            duration: null,
+            delay: null,
+            startAt: null,
+            maxSize: null,
+            replay: null,
+            segmentTime: null,
+            segmentSize: null,
+            keepSegments: null,
+            minFree: 512 * 1024 * 1024,
+            crashSafe: true,
+            backend: null,
+            format: null,
+            audioFormat: null,
+            outputDir: null,
+            nameTemplate: null,
+            ifExists: 'increment',
+            screenshot: false,
+            imageFormat: null,
+            timelapse: null,
+            timelapseFps: 30,
+            trimStart: null,
+            trimEnd: null,
+            gif: false,
+            gifWidth: 640,
+            gifFps: 15,
+            thumbnail: null,
+            compress: null,
+            compressFormat: 'mp4',
+            overlay: null,
+            overlayPosition: 'bottom-right',
+            overlaySize: '20%',
+            overlayShape: 'rect',
+            overlayBorder: null,
+            stream: null,
+            streamRetries: 5,
+            denoise: false,
+            denoiseModel: null,
+            noiseGate: null,
+            normalize: null,
+            stopOnSilence: null,
+            onStart: null,
+            onStop: null,
+            onFinish: null,
+            notify: false,
+            title: null,
+            comment: null,
+            tags: {},
+            profile: null,
+            json: false,
+            dryRun: false
+        };
+    }
+
+    // Fills in defaults and the output name, and rejects combinations that
+    // can't be recorded before anything is started
+    normalizeOptions(options) {
+        options = { ...this.defaultOptions(), ...options };
+        if (options.audioOnly) {
+            options.recordVideo = false;
+            options.recordAudio = true;
+        }
+
+        if (options.keepSegments && !this.isRotating(options)) {
+            throw new Error('--keep-segments needs --segment-time or --segment-size');
+        }
+        if (options.replay && this.isRotating(options)) {
+            throw new Error('--replay cannot be combined with --segment-time or --segment-size');
+        }
+        if (options.monitor && (options.area || options.window)) {
+            throw new Error('--monitor cannot be combined with --area or --window');
+        }
+        this.checkStreaming(options);
+        this.checkStillCapture(options);
+        this.checkOverlay(options);
+        this.checkMetadata(options);
+        if (options.recordVideo && !options.screenshot && !options.timelapse) {
+            this.resolveBackend(options);
+        }
+
+        this.checkPostProcessing(options);
+        this.checkAudioFilters(options);
+        if (!EXISTS_POLICIES.includes(options.ifExists)) {
+            throw new Error(`Invalid --if-exists value: ${options.ifExists} (use ${EXISTS_POLICIES.join(', ')})`);
+        }
+        // The file name itself is picked by prepareOutput
+        if (options.nameTemplate) {
+            const unknown = [...options.nameTemplate.matchAll(/\{(\w*)\}/g)]
+                .map(match => match[1])
+                .filter(name => !NAME_PLACEHOLDERS.includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown placeholder in --name-template: {${unknown[0]}} (use ${NAME_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`);
+            }
+        }
+
+        // Validate output format
+        const format = this.outputFormat(options);
+        if (options.recordVideo && !options.screenshot && !this.supportedVideoFormats.includes(format)) {
+            throw new Error(`Unsupported video format: ${format} (supported: ${this.supportedVideoFormats.join(', ')})`);
+        }
+        if (options.audioOnly && !this.supportedAudioFormats.includes(format)) {
+            throw new Error(`Unsupported audio format: ${format} (supported: ${this.supportedAudioFormats.join(', ')})`);
+        }
+
+        // Rejects codec/container mismatches and bad quality options
+        this.resolveEncoding(options);
+        return options;
+    }
+
+    // The output's extension, or the one a generated name will get
+    outputFormat(options) {
+        if (options.output) {
+            return this.getFileExtension(options.output);
+        }
+        if (options.screenshot) {
+            return options.imageFormat || 'png';
+        }
+        return options.audioOnly ? options.audioFormat || 'mp3' : options.format || 'mp4';
+    }
+
+    // XDG_VIDEOS_DIR, XDG_MUSIC_DIR or XDG_PICTURES_DIR from the environment or from
+    // user-dirs.dirs, where it is written like "$HOME/Videos"
+    userDir(name) {
+        let dir = process.env[name];
+        if (!dir) {
+            const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+            try {
+                const match = fs.readFileSync(path.join(configHome, 'user-dirs.dirs'), 'utf8')
+                    .match(new RegExp(`^${name}="(.*)"$`, 'm'));
+                dir = match ? match[1] : null;
+            } catch {
+                // No user-dirs.dirs
+            }
+        }
+        // xdg-user-dirs points unset folders at the home directory itself
+        dir = dir ? dir.replace(/^\$HOME(?=$|\/)/, os.homedir()) : null;
+        return dir && path.resolve(dir) !== os.homedir() ? dir : null;
+    }
+
+    // Fills in --name-template. Values are made safe for file names,
+    // while the template itself may contain folders.
+    async expandNameTemplate(options, template) {
+        const now = new Date();
+        const pad = number => String(number).padStart(2, '0');
+        const safe = value => String(value).replace(/[\/\x00-\x1f]+/g, '_').replace(/\s+/g, ' ').trim().slice(0, 80);
+        const values = {
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+            timestamp: now.toISOString().replace(/[:.]/g, '-'),
+            mode: options.replay ? 'replay' : options.audioOnly ? 'audio' : options.window ? 'window' :
+                options.monitor ? 'monitor' : options.area ? 'area' : 'fullscreen',
+            window: '',
+            monitor: '',
+            profile: options.profile ? safe(options.profile) : ''
+        };
+        if (template.includes('{window}') && options.window) {
+            const window = this.isWayland ? options.window : await this.selectWindow(options);
+            values.window = safe(window.title || window.id || window.spec);
+        }
+        if (template.includes('{monitor}') && options.monitor) {
+            values.monitor = safe(/^\d+$/.test(options.monitor) && options.backend !== 'pipewire'
+                ? (await this.findMonitor(options.monitor)).name
+                : options.monitor);
+        }
+        // Placeholders without a value leave no doubled separators behind
+        const name = template.replace(/\{(\w+)\}/g, (match, key) => (key === 'n' ? match : values[key]))
+            .replace(/([-_. ])[-_. ]+/g, '$1')
+            .replace(/(^|\/)[-_. ]+|[-_. ]+($|\/)/g, '$1$2');
+        return name || 'recording';
+    }
+
+    // Picks the output file before anything is recorded: a name from
+    // --name-template when none was given, in --output-dir or the XDG
+    // videos/music folder, then what --if-exists says to do when the file
+    // or segments of an interrupted recording of it are already there.
+    // create makes the missing folders.
+    async prepareOutput(options, create = true) {
+        if (options.stream && !options.output) {
+            return null; // Only streamed
+        }
+        const extension = `.${this.outputFormat(options)}`;
+        let output = options.output;
+        if (!output) {
+            const folder = options.screenshot ? 'XDG_PICTURES_DIR' : options.audioOnly ? 'XDG_MUSIC_DIR' : 'XDG_VIDEOS_DIR';
+            const dir = options.outputDir || this.userDir(folder) || '.';
+            // Clips get their own timestamp when they are saved
+            const template = options.nameTemplate || (options.replay ? 'replay' :
+                options.screenshot ? 'screenshot-{timestamp}' : options.timelapse ? 'timelapse-{timestamp}' : 'recording-{timestamp}');
+            output = path.join(dir, `${await this.expandNameTemplate(options, template)}${extension}`);
+        } else if (options.outputDir && !path.isAbsolute(output)) {
+            output = path.join(options.outputDir, output);
+        }
+
+        const taken = file => fs.existsSync(file) || fs.existsSync(this.segmentPath(file, 0, options.crashSafe));
+        if (output.includes('{n}')) {
+            let n = 1;
+            while (taken(output.replace(/\{n\}/g, n))) {
+                n++;
+            }
+            output = output.replace(/\{n\}/g, n);
+        }
+        // Rotated recordings continue the numbering, replay clips are timestamped
+        if (!options.replay && !this.isRotating(options)) {
+            output = this.availablePath(output, options.ifExists, taken);
+        }
+
+        if (create) {
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+        }
+        options.output = output;
+        return output;
+    }
+
+    // Applies an --if-exists policy to a file about to be written
+    availablePath(file, policy, taken = candidate => fs.existsSync(candidate)) {
+        if (policy === 'overwrite' || !taken(file)) {
+            return file;
+        }
+        if (policy === 'fail') {
+            const error = new Error(`${file} already exists (use --if-exists increment or overwrite)`);
+            error.exitCode = EXIT_CODES.usage;
+            throw error;
+        }
+        const extension = path.extname(file);
+        const base = file.slice(0, file.length - extension.length);
+        let number = 2;
+        while (taken(`${base}-${number}${extension}`)) {
+            number++;
+        }
+        return `${base}-${number}${extension}`;
+    }
+
+    // Resolves --window once, so naming the file after the window and
+    // recording it takes a single click
+    async selectWindow(options) {
+        if (!options.window.id) {
+            options.window = { ...options.window, ...await this.resolveWindow(options.window.spec) };
+        }
+        return options.window;
+    }
+
+    // ffmpeg's answer when a file it writes exists. Captures write hidden
+    // segments, which only exist after a crash and are left for recover
+    // unless the policy is overwrite.
+    overwriteArg(options) {
+        return options.ifExists === 'overwrite' ? '-y' : '-n';
+    }
+
+    // Library entry point: starts a recording, or a replay buffer, a
+    // screenshot or a timelapse when options.replay, options.screenshot or
+    // options.timelapse is set, and returns a handle that re-emits the
+    // session's events. Invalid options throw right away; anything that
+    // fails later arrives as an error event and a non-zero finished code.
+    start(options = {}) {
+        if (this.session) {
+            throw new Error('A recording is already running');
+        }
+        options = this.normalizeOptions(options);
+        this.session = this.createSession(options);
+
+        const handle = new EventEmitter();
+        const forwarders = SESSION_EVENTS.map((event) => {
+            const forward = (...args) => {
+                if (event !== 'error' || handle.listenerCount('error') > 0) {
+                    handle.emit(event, ...args);
+                }
+            };
+            this.on(event, forward);
+            return [event, forward];
+        });
+
+        handle.options = options;
+        handle.stop = () => this.stopRecording();
+        handle.pause = () => this.pauseRecording();
+        handle.resume = () => this.resumeRecording();
+        handle.togglePause = () => this.togglePause();
+        handle.saveReplay = () => this.saveReplay();
+        handle.addMarker = label => this.addMarker(label);
+        handle.status = () => this.getSessionStatus();
+
+        // Deferred so listeners added right after start() see every event
+        handle.done = new Promise((resolve) => {
+            setImmediate(async () => {
+                let summary;
+                try {
+                    const run = options.replay ? this.startReplay : options.screenshot ? this.startScreenshot :
+                        options.timelapse ? this.startTimelapse : this.startRecording;
+                    summary = await run.call(this, options);
+                } catch (error) {
+                    this.reportError(error);
+                    summary = { ...this.summarize(1), error };
+                }
+                this.ffmpegProcess = null;
+                this.emit('finished', summary);
+                this.session = null;
+                forwarders.forEach(([event, forward]) => this.removeListener(event, forward));
+                resolve(summary);
+            });
+        });
+
+        return handle;
+    }
+
+    // Resolves everything start() would, down to the argv of each process
+    // of the first run, without spawning the capture. Interactive
+    // selections (slurp, clicking a window) still happen.
+    async plan(options = {}) {
+        options = this.normalizeOptions(options);
+        await this.prepareOutput(options, false);
+        const stills = options.screenshot || options.timelapse;
+        let stages;
+        if (stills) {
+            // A timelapse grabs into a folder made when it starts
+            const file = options.screenshot ? options.output : path.join(`${this.framesDirPrefix(options.output)}XXXXXX`, '%06d.png');
+            stages = this.toPipeline(await this.buildScreenshotCommand(options, file));
+        } else {
+            stages = this.toPipeline(await this.buildFFmpegCommand(options));
+        }
+        const audioSources = await this.getAudioSources(options);
+        const encoding = this.resolveEncoding(options);
+        const backend = stills ? (this.isWayland ? 'grim' : 'x11grab') :
+            options.recordVideo ? this.resolveBackend(options).name : null;
+
+        let commands = stages;
+        if (!options.replay && !stills && options.output) {
+            const { segment, startNumber } = this.nextSegment(options, 0);
+            commands = stages.map(stage => this.retargetStage(stage, options.output, segment, startNumber));
+        }
+
+        return {
+            backend,
+            mode: options.replay ? 'replay' : options.screenshot ? 'screenshot' : options.timelapse ? 'timelapse' :
+                this.isRotating(options) ? 'rotate' : 'record',
+            output: options.output ? path.resolve(options.output) : null,
+            stream: options.stream,
+            video: options.recordVideo ? {
+                source: this.describeVideoSource(options),
+                geometry: await this.captureGeometry(options, backend),
+                // Of the video, for a timelapse the playback rate
+                framerate: options.screenshot ? null : options.timelapse ? options.timelapseFps : options.framerate,
+                codec: encoding.video ? encoding.video.codec : null
+            } : null,
+            interval: options.timelapse,
+            audio: options.recordAudio ? {
+                sources: audioSources,
+                tracks: audioSources.length > 1 ? options.audioTracks : null,
+                codec: encoding.audio.codec
+            } : null,
+            commands,
+            postProcessing: this.postProcessingSteps(options),
+            missingTools: await this.checkDependencies(options)
+        };
+    }
+
+    // The part of the display a video recording grabs, once the command
+    // is built. Null when the backend picks it, like a PipeWire node or a
+    // window chosen in the portal dialog.
+    async captureGeometry(options, backend) {
+        const pick = ({ x, y, width, height }) => ({ x, y, width, height });
+        if (options.area) {
+            return pick(options.area);
+        }
+        if (options.window) {
+            return options.window.width ? pick(options.window) : null;
+        }
+        if (options.monitor) {
+            return backend === 'pipewire' ? null : pick(await this.findMonitor(options.monitor));
+        }
+        return backend === 'pipewire' ? null : this.getDisplayInfo();
+    }
+
+    formatElapsed(seconds) {
+        const total = Math.floor(seconds);
+        return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+    }
+
+    // Terminal output for the events of a recording handle, or of the
+    // recorder itself for commands like recover
+    printEvents(emitter) {
+        // The progress line is redrawn in place, anything else goes below it
+        let progressShown = false;
+        const below = write => (...args) => {
+            if (progressShown) {
+                process.stdout.write('\n');
+                progressShown = false;
+            }
+            write(...args);
+        };
+
+        emitter.on('message', below(message => console.log(message)));
+        emitter.on('warning', below(message => console.warn(`⚠️  ${message}`)));
+        emitter.on('error', below(error => console.error(`❌ ${error.message}`)));
+        emitter.on('start', below(({ output, command }) => {
+            const { replay, stream } = emitter.options;
+            if (stream) {
+                console.log(`📡 Streaming to: ${this.maskStreamKeys(stream)}`);
+            }
+            if (output) {
+                console.log(replay ? `📁 Clips: ${this.replayClipPath(output)}` : `📁 Output: ${output}`);
+            }
+            console.log(`🔧 Command: ${this.maskStreamKeys(command.map(stage => stage.join(' ')).join(' | '))}\n`);
+        }));
+        emitter.on('countdown', (remaining) => {
+            process.stdout.write(remaining > 0 ? `\r⏳ Recording starts in ${remaining}... ` : '\r🔴 Recording!                   \n');
+        });
+        emitter.on('progress', ({ frame, fps, time, size }) => {
+            const frames = frame === null ? '' : `  frame ${frame}${fps === null ? '' : ` (${fps} fps)`}`;
+            process.stdout.write(`\r⏺️  ${this.formatElapsed(time)}  ${(size / 1024 / 1024).toFixed(1)} MB${frames}   `);
+            progressShown = true;
+        });
+        emitter.on('paused', below(() => console.log('⏸️  Recording paused')));
+        emitter.on('resumed', below(() => console.log('▶️  Recording resumed')));
+        emitter.on('marker', below(({ time, label }) => console.log(`🔖 ${label} at ${this.formatElapsed(time)}`)));
+        emitter.on('segment', below(({ file }) => console.log(`📼 Recording to ${file}`)));
+        emitter.on('clip', below(({ file }) => console.log(`💾 Replay saved to: ${file}`)));
+        const processedLabels = { trim: '✂️  Trimmed', normalize: '🔊 Normalized', thumbnail: '🖼️  Thumbnail', gif: '🎞️  GIF', compress: '📦 Compressed copy', chapters: '🔖 Chapters' };
+        emitter.on('processed', below(({ step, file, size }) => {
+            console.log(`${processedLabels[step]}: ${file} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+        }));
+        emitter.on('finished', below((summary) => {
+            if (summary.error) {
+                return; // Already printed by the error event
+            }
+            const { code, files } = summary;
+            if (emitter.options.screenshot) {
+                console.log(code === 0 ? `📸 Screenshot saved to: ${emitter.options.output}` : `❌ Screenshot failed with code: ${code}`);
+                return;
+            }
+            if (emitter.options.replay) {
+                console.log(`\n🔁 Replay buffer stopped with code ${code}, ${files.length} clip(s) saved`);
+                return;
+            }
+            console.log(`\n🎬 Recording finished with code ${code}`);
+            if (code !== 0) {
+                console.log(`❌ Recording failed with code: ${code}`);
+            } else if (!emitter.options.output) {
+                console.log(`✅ Streamed for ${this.formatElapsed(summary.duration)}`);
+            } else if (this.isRotating(emitter.options)) {
+                console.log(`✅ Recording saved to ${files.length} file(s): ${this.rotatedPath(emitter.options.output, 'NNN')}`);
+            } else {
+                console.log(`✅ Recording saved to: ${emitter.options.output}`);
+            }
+        }));
+    }
+
+    showHelp() {
+        console.log(`
+🎬 Linux Screen Recorder CLI
 
 USAGE:
   node recorder.js [OPTIONS] <output-file>
+  node recorder.js stop|status|pause|resume|toggle|save
+  node recorder.js mark [LABEL]
+  node recorder.js recover [file|directory]
+  node recorder.js doctor [--json]
+  node recorder.js convert INPUT [--trim-start TIME] [--trim-end TIME]
+                           [--thumbnail [TIME]] [--gif] [--compress SIZE]
+  node recorder.js config [list|get|set|unset] [KEY] [VALUE] [--profile NAME] [--project]
 
 OPTIONS:
   -h, --help              Show this help message
   -f, --fullscreen        Record full screen (default)
   -a, --area x,y,w,h      Record specific area (x,y,width,height)
   -a select               Interactive area selection (Wayland with slurp)
-  -w, --window            Select window interactively
+  -w, --window [SPEC]     Record a window (X11): select (click, default),
+                          a window id (0x...), class:NAME or a title
+  --follow-window         Follow the window when it moves or is resized
+  -m, --monitor NAME|N    Record a single monitor (name or number from --list-monitors)
+  --backend NAME          Capture backend instead of the one for this session:
+                          x11grab, wf-recorder, kmsgrab, wl-screenrec,
+                          gpu-screen-recorder or pipewire
   -A, --audio             Include microphone audio
   -I, --internal          Include internal/system audio  
   -B, --both-audio        Include both microphone and internal audio
   -r, --framerate N       Set framerate (default: 30)
   --audio-only            Record audio only (microphone)
   --internal-only         Record internal audio only (system audio)
+  --audio-device DEVICE   Microphone (or with -I alone, system audio) to record:
+                          number from --list-audio, name or part of it,
+                          or description
+  --mic-volume N          Microphone volume multiplier (default: 1.0)
+  --system-volume N       System audio volume multiplier (default: 1.0)
+  --audio-tracks MODE     mix (default) or separate tracks for -B
+  --denoise [MODEL]       Remove background noise from the microphone (afftdn,
+                          or arnndn with a .rnnn model file)
+  --noise-gate [DB]       Mute the microphone below DB (default: -50)
+  --normalize [LUFS]      Normalize the loudness once recorded, EBU R128 in
+                          two passes (default: -16)
+  --stop-on-silence TIME  Stop an audio-only recording after TIME of silence
+  -q, --quality NAME      Quality preset: draft, balanced (default), archive
+  --codec NAME            Video codec (h264, h265, vp9, av1, ffv1, prores)
+  --crf N                 Constant quality (lower is better)
+  --preset NAME           Encoder speed preset (e.g. veryfast, slow)
+  --bitrate RATE          Target video bitrate instead of CRF (e.g. 4M)
+  --audio-codec NAME      Audio codec (aac, opus, vorbis, mp3, flac, pcm)
+  --audio-bitrate RATE    Audio bitrate (e.g. 192k)
+  -d, --duration TIME     Stop after TIME of recording (90, 1m30s, 01:30)
+  --delay TIME            Count down before recording starts
+  --start-at TIME         Wait until a clock time (14:30) or date to start
+  --max-size SIZE         Stop when the recording reaches SIZE (500M, 2G)
+  --replay TIME           Keep the last TIME buffered and save it on demand
+  --segment-time TIME     Split into numbered files (name-001.mp4, ...) every TIME
+  --segment-size SIZE     Split into numbered files of about SIZE each
+  --keep-segments N       Only keep the newest N files of a split recording
+  --min-free SIZE         Stop when the output disk gets this full (default: 512M)
+  --no-crash-safe         Write mp4/mov/avi directly instead of via Matroska
+  --json                  Print progress and the result as JSON lines (NDJSON)
+  --profile NAME          Use a profile from the config files
+  --output-dir DIR        Folder for the recording (default: XDG videos/music
+                          folder for generated names, else the current one)
+  --name-template TEXT    Name when no file is given: {date} {time} {timestamp}
+                          {mode} {window} {monitor} {profile} {n}
+  --if-exists POLICY      When the output exists: increment (default: name-2),
+                          overwrite or fail
+  --overlay SOURCE        Show a camera (/dev/video0), a looping video file or
+                          a stream over the recording (picture-in-picture)
+  --overlay-position POS  top-left, top-right, bottom-left, bottom-right
+                          (default) or X,Y
+  --overlay-size SIZE     Overlay width in pixels or % of the capture (default: 20%)
+  --overlay-shape SHAPE   rect (default), rounded or circle
+  --overlay-border B      Border around the overlay: WIDTH or WIDTH:COLOR (4:white)
+  --screenshot            Save a single image (png, jpg or webp) instead of
+                          recording, of the screen, an area, monitor or window
+  --timelapse INTERVAL    Grab a frame every INTERVAL and make a video of them
+  --timelapse-fps N       Playback frame rate of the timelapse (default: 30)
+  --stream URL            Stream to rtmp://, srt:// or udp://, and record
+                          locally too when an output file is given
+  --stream-retries N      Reconnection attempts when the stream drops (default: 5)
+  --on-start CMD          Run a shell command when recording starts
+  --on-stop CMD           Run a shell command when the capture stops
+  --on-finish CMD         Run a shell command once the recording is saved or
+                          has failed (details in LREC_* variables and on stdin)
+  --notify                Desktop notifications on start, save and failure
+  --title TEXT            Title written into the recording's metadata
+  --comment TEXT          Comment written into the recording's metadata
+  --tag KEY=VALUE         Any other metadata, e.g. artist=Jane (repeatable)
+  --trim-start TIME       Cut TIME off the start once the recording is saved
+  --trim-end TIME         Cut TIME off the end once the recording is saved
+  --thumbnail [TIME]      Save a JPEG poster frame (name.jpg), from TIME or
+                          a typical frame near the start
+  --gif                   Save an optimized GIF (name.gif)
+  --gif-width N           GIF width in pixels, 0 keeps the size (default: 640)
+  --gif-fps N             GIF frame rate (default: 15)
+  --compress SIZE         Save a copy of about SIZE for sharing (name-small.mp4)
+  --compress-format FMT   mp4 (H.264, default) or webm (VP9) for --compress
+  --dry-run               Print the backend and commands without recording
+                          (with --json as a plan event)
   --list-audio            List available audio devices
   --list-windows          List available windows
-  --check-deps            Check system dependencies
+  --list-monitors         List monitors with geometry, offset and scale
+  --check-deps            Same as the doctor command
+
+CONTROLS (while recording):
+  p or space              Pause / resume (also SIGUSR1 / SIGUSR2)
+  m                       Add a chapter marker (also SIGURG)
+  q or Ctrl+C             Stop and save
+  s or space (--replay)   Save the buffered replay (also SIGUSR1)
+
+COMMANDS (control a running recording from another terminal or a shortcut):
+  stop                    Stop and save
+  pause, resume, toggle   Pause or resume
+  status                  Print elapsed time, output, size and sources as JSON
+  save                    Save a clip from a --replay buffer
+  mark [LABEL]            Add a chapter marker, with an optional label
+  recover [PATH]          Turn segments left by a killed recording into
+                          playable files (PATH: output file or directory)
+  convert INPUT           Trim or normalize an existing file, or make the
+                          thumbnail, GIF or compressed copy of it, with the
+                          options above
+  doctor                  Check tools and the ffmpeg build, list what can be
+                          recorded and how to install what's missing
+  config                  Show or change the defaults in ~/.config/lrec/config.json
+                          (--project: ./.lrecrc, --profile NAME: a profile)
+
+EXIT CODES:
+  0  Success              4  Capture failed        7  Stopped, disk nearly full
+  1  Unexpected error     5  Finalizing or converting failed
+  2  Invalid arguments    6  No recording running, or one already is
+  3  Missing dependencies
 
 EXAMPLES:
   # Full screen recording with audio
@@ -448,48 +4653,362 @@ EXAMPLES:
   # Manual area recording (x=100, y=100, width=800, height=600)
   node recorder.js -a 100,100,800,600 partial.mkv
   
+  # Record a window by clicking on it (X11)
+  node recorder.js -w select window.mp4
+  
+  # Record a Firefox window and follow it around the screen (X11)
+  node recorder.js -w class:firefox --follow-window browser.mp4
+  
   # Audio only recording (microphone)
   node recorder.js --audio-only -A sound.mp3
   
   # Internal audio only (system audio)
   node recorder.js --internal-only system-audio.ogg
   
+  # Microphone and system audio mixed, with the system audio quieter
+  node recorder.js -f -B --system-volume 0.5 tutorial.mp4
+  
+  # Microphone and system audio on separate tracks
+  node recorder.js -f -B --audio-tracks separate tutorial.mkv
+  
+  # Record only the second monitor
+  node recorder.js --monitor 2 second-screen.mp4
+  
   # High framerate recording
   node recorder.js -f -r 60 smooth.mp4
+  
+  # 5 minute recording after a 3 second countdown
+  node recorder.js --delay 3 --duration 5m demo.mp4
+  
+  # Unattended recording at 14:00, capped at 1 GB
+  node recorder.js --start-at 14:00 --max-size 1G meeting.mkv
+  
+  # Keep the last 2 minutes, press s to save them as replay-<time>.mp4
+  node recorder.js --replay 120
+  
+  # Tutorial with a round face cam in the bottom right corner
+  node recorder.js -A --overlay /dev/video0 --overlay-shape circle tutorial.mp4
+  
+  # Titled talk, marking chapters with m or \`node recorder.js mark "Q&A"\`
+  node recorder.js -A --title "Release planning" --tag artist=Jane talk.mkv
+  
+  # Screenshot of an area drawn with slurp (Wayland)
+  node recorder.js --screenshot -a select shot.png
+  
+  # A frame every 10 seconds for an hour, played back at 30 fps
+  node recorder.js --timelapse 10 --duration 1h build.mp4
+  
+  # All-day recording in 30 minute files, keeping the last 16
+  node recorder.js --segment-time 30m --keep-segments 16 lab.mkv
+  
+  # Archive quality H.265, or a fixed bitrate
+  node recorder.js -q archive --codec h265 lecture.mkv
+  node recorder.js --bitrate 6M --preset faster demo.mp4
 
-SUPPORTED FORMATS:
-  Video: mp4 (default), mkv, avi, webm, mov
-  Audio: mp3 (default), ogg, wav, flac, aac
+SUPPORTED FORMATS (first codec is the default):
+  mp4   video: h264, h265, av1        audio: aac, opus, mp3
+  mkv   video: h264, h265, vp9, av1, ffv1
+        audio: aac, opus, vorbis, flac, mp3, pcm
+  webm  video: vp9, av1               audio: opus, vorbis
+  avi   video: h264                   audio: mp3, pcm
+  mov   video: h264, h265, prores     audio: aac, alac, pcm
+  Audio only: mp3 (default), ogg (vorbis, opus, flac), wav, flac, aac
+  Screenshots: png (default), jpg, webp
 
 DEPENDENCIES:
   • ffmpeg (required)
   • wf-recorder (Wayland)
-  • pipewire/wireplumber (Wayland audio)
-  • xrandr, pulseaudio (X11)
-  • wmctrl (window selection on X11)
+  • pipewire/wireplumber or pulseaudio (audio)
+  • xrandr (monitor detection on X11)
+  • wlr-randr (monitor detection on Wayland)
+  • pactl (finds the default system audio source)
+  • wmctrl, xwininfo (window selection on X11)
   • slurp (area selection on Wayland)
+  • grim (screenshots and timelapses on Wayland)
 
 NOTES:
   • File format is determined by extension
   • Uses software encoding by default for compatibility
+  • Invalid codec/container combinations are rejected before recording
   • Wayland support requires compositor compatibility
   • Use Ctrl+C to stop recording
+  • Paused parts are left out of the final file
   • For hardware encoding issues, software encoding is used automatically
 `);
     }
 
-    async parseArgs() {
-        const args = process.argv.slice(2);
-        const options = {
-            recordVideo: true,
-            recordAudio: false,
-            internalAudio: false,
-            framerate: 30,
-            output: null,
-            area: null,
-            window: null,
-            audioDevice: null,
-            audioOnly: false
+    // The user's config file, and the nearest .lrecrc from the working
+    // directory up, which takes precedence
+    configFiles() {
+        const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+        const files = { user: path.join(configHome, 'lrec', 'config.json'), project: null };
+        for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+            if (fs.existsSync(path.join(dir, '.lrecrc'))) {
+                files.project = path.join(dir, '.lrecrc');
+                break;
+            }
+            if (dir === path.dirname(dir)) {
+                break;
+            }
+        }
+        return files;
+    }
+
+    readConfigFile(file) {
+        if (!file || !fs.existsSync(file)) {
+            return {};
+        }
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`${file} is not valid JSON: ${error.message}`);
+        }
+        const problems = this.validateConfig(config);
+        if (problems.length > 0) {
+            throw new Error(`Invalid settings in ${file}:\n  - ${problems.join('\n  - ')}`);
+        }
+        return config;
+    }
+
+    // Lists what is wrong with a config, or its profile when prefix is set
+    validateConfig(config, prefix = '') {
+        if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+            return [`${prefix || 'the config'} must be a JSON object`];
+        }
+        const problems = [];
+        for (const [key, value] of Object.entries(config)) {
+            if (key === 'profiles' && !prefix) {
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                    problems.push('profiles must be an object of named profiles');
+                    continue;
+                }
+                for (const [name, profile] of Object.entries(value)) {
+                    problems.push(...this.validateConfig(profile, `profiles.${name}`));
+                }
+            } else if (!CONFIG_KEYS[key]) {
+                problems.push(`${prefix ? `${prefix}.` : ''}${key} is not a setting (known: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+            } else {
+                const problem = this.checkConfigValue(key, value);
+                if (problem) {
+                    problems.push(`${prefix ? `${prefix}.` : ''}${key} ${problem}`);
+                }
+            }
+        }
+        return problems;
+    }
+
+    // Why a value can't be used for a setting, or null when it can
+    checkConfigValue(key, value) {
+        const { type, values, min, max } = CONFIG_KEYS[key];
+        const got = ` (got ${JSON.stringify(value)})`;
+        if (['string', 'path'].includes(type)) {
+            if (typeof value !== 'string' || !value) {
+                return `must be a non-empty string${got}`;
+            }
+            const accepted = typeof values === 'function' ? values(this) : values;
+            if (accepted && !accepted.includes(value)) {
+                return `must be one of ${accepted.join(', ')}${got}`;
+            }
+        } else if (type === 'integer' || type === 'number') {
+            if (typeof value !== 'number' || !isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+                return `must be ${type === 'integer' ? 'a whole number' : 'a number'}${got}`;
+            }
+            if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                return `must be ${max === undefined ? `at least ${min}` : `between ${min} and ${max}`}${got}`;
+            }
+        } else if (type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                return `must be true or false${got}`;
+            }
+        } else {
+            // Sizes and durations take the same values as their flags
+            try {
+                if (type === 'size') {
+                    this.parseSize(value, key);
+                } else {
+                    this.parseDuration(value, key);
+                }
+            } catch (error) {
+                return `must be a ${type}, ${type === 'size' ? 'in bytes or like 500M or 2G' : 'in seconds or like 1m30s'}${got}`;
+            }
+        }
+        return null;
+    }
+
+    // `config set` takes every value as text
+    parseConfigValue(key, text) {
+        const { type } = CONFIG_KEYS[key];
+        if (type === 'integer' || type === 'number') {
+            return text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : text;
+        }
+        if (type === 'boolean') {
+            const flags = { true: true, yes: true, on: true, false: false, no: false, off: false };
+            return text.toLowerCase() in flags ? flags[text.toLowerCase()] : text;
+        }
+        return text;
+    }
+
+    // The merged settings of both files, with a profile's on top
+    loadConfig(profile = null) {
+        const files = this.configFiles();
+        const user = this.readConfigFile(files.user);
+        const project = this.readConfigFile(files.project);
+        const { profiles: userProfiles = {}, ...userSettings } = user;
+        const { profiles: projectProfiles = {}, ...projectSettings } = project;
+        const settings = { ...userSettings, ...projectSettings };
+        if (profile) {
+            const profiles = { ...userProfiles, ...projectProfiles };
+            if (!profiles[profile]) {
+                const defined = Object.keys(profiles);
+                throw new Error(`Unknown profile: ${profile} (${defined.length > 0 ? `defined: ${defined.join(', ')}` : 'no profiles are defined'})`);
+            }
+            Object.assign(settings, userProfiles[profile], projectProfiles[profile]);
+        }
+        return settings;
+    }
+
+    // Turns config settings into recording options
+    configOptions(settings) {
+        const options = {};
+        for (const [key, value] of Object.entries(settings)) {
+            const { type } = CONFIG_KEYS[key];
+            if (key === 'audio') {
+                options.recordAudio = value !== 'none';
+                options.internalAudio = value === 'system' || value === 'both';
+                options.bothAudio = value === 'both';
+            } else if (type === 'path') {
+                options[key] = value.replace(/^~(?=$|\/)/, os.homedir());
+            } else if (type === 'size') {
+                options[key] = this.parseSize(value, key);
+            } else if (type === 'duration') {
+                options[key] = this.parseDuration(value, key);
+            } else {
+                options[key] = value;
+            }
+        }
+        return options;
+    }
+
+    // lrec config list|get|set|unset, on the user's file or with --project
+    // on .lrecrc, and on a profile with --profile
+    async runConfigCommand(args, json) {
+        const [action, key, value] = args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--profile');
+        const profileIndex = args.indexOf('--profile');
+        const profile = profileIndex >= 0 ? args[profileIndex + 1] : null;
+        const files = this.configFiles();
+        const usage = (message) => {
+            const error = new Error(message);
+            error.exitCode = EXIT_CODES.usage;
+            return error;
+        };
+        if (key !== undefined && !CONFIG_KEYS[key]) {
+            throw usage(`Unknown setting: ${key} (known: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+        }
+
+        switch (action) {
+            case undefined:
+            case 'list': {
+                const settings = this.loadConfig(profile);
+                const profiles = Object.keys({ ...this.readConfigFile(files.user).profiles, ...this.readConfigFile(files.project).profiles });
+                if (json) {
+                    console.log(JSON.stringify({ files, profile, settings, profiles }, null, 2));
+                    return;
+                }
+                console.log(`📄 User config: ${files.user}${fs.existsSync(files.user) ? '' : ' (not created yet)'}`);
+                console.log(`📄 Project config: ${files.project || '(no .lrecrc found)'}`);
+                if (profile) {
+                    console.log(`🎭 Profile: ${profile}`);
+                }
+                console.log('\n⚙️  Settings:');
+                for (const [name, { description }] of Object.entries(CONFIG_KEYS)) {
+                    const current = name in settings ? JSON.stringify(settings[name]) : '-';
+                    console.log(`  ${name.padEnd(14)}${current.padEnd(24)}${description}`);
+                }
+                console.log(`\n🎭 Profiles: ${profiles.length > 0 ? profiles.join(', ') : 'none'}`);
+                return;
+            }
+
+            case 'get': {
+                if (key === undefined) {
+                    throw usage('Usage: config get KEY [--profile NAME]');
+                }
+                const settings = this.loadConfig(profile);
+                if (!(key in settings)) {
+                    process.exitCode = EXIT_CODES.error;
+                    return;
+                }
+                console.log(typeof settings[key] === 'string' ? settings[key] : JSON.stringify(settings[key]));
+                return;
+            }
+
+            case 'set':
+            case 'unset': {
+                if (key === undefined || (action === 'set' && value === undefined)) {
+                    throw usage(`Usage: config ${action} KEY${action === 'set' ? ' VALUE' : ''} [--profile NAME] [--project]`);
+                }
+                const file = args.includes('--project') ? files.project || path.join(process.cwd(), '.lrecrc') : files.user;
+                const config = this.readConfigFile(file);
+                let target = config;
+                if (profile) {
+                    config.profiles = config.profiles || {};
+                    target = config.profiles[profile] = config.profiles[profile] || {};
+                }
+                if (action === 'set') {
+                    const parsed = this.parseConfigValue(key, value);
+                    const problem = this.checkConfigValue(key, parsed);
+                    if (problem) {
+                        throw usage(`${key} ${problem}`);
+                    }
+                    target[key] = parsed;
+                } else {
+                    delete target[key];
+                    if (profile && Object.keys(target).length === 0) {
+                        delete config.profiles[profile];
+                    }
+                }
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`);
+                console.log(action === 'set'
+                    ? `✅ ${profile ? `profiles.${profile}.` : ''}${key} = ${JSON.stringify(target[key])} in ${file}`
+                    : `✅ Removed ${profile ? `profiles.${profile}.` : ''}${key} from ${file}`);
+                return;
+            }
+
+            default:
+                throw usage(`Unknown config command: ${action} (use list, get, set or unset)`);
+        }
+    }
+
+    // Turns CLI arguments into recording options. Flags that only print
+    // something come back as { command } for run() to handle.
+    parseArgs(args = process.argv.slice(2)) {
+        // Config files and the profile give the defaults, flags override them
+        const profileIndex = args.indexOf('--profile');
+        const profile = profileIndex >= 0 ? args[profileIndex + 1] : null;
+        if (profileIndex >= 0 && !profile) {
+            throw new Error('--profile needs a name');
+        }
+        // Help and the lists work even with a broken config
+        const info = args.some(arg => ['-h', '--help', '--check-deps', '--list-audio', '--list-windows', '--list-monitors'].includes(arg));
+        const settings = info ? {} : this.loadConfig(profile);
+        const options = { ...this.defaultOptions(), ...this.configOptions(settings), profile };
+
+        // A source flag replaces the monitor of the config, and the first
+        // audio flag its audio setting
+        let configMonitor = Boolean(options.monitor);
+        const sourceFlag = () => {
+            if (configMonitor) {
+                options.monitor = null;
+                configMonitor = false;
+            }
+        };
+        let configAudio = true;
+        const audioFlag = () => {
+            if (configAudio) {
+                Object.assign(options, { recordAudio: false, internalAudio: false, bothAudio: false });
+                configAudio = false;
+            }
         };
 
         for (let i = 0; i < args.length; i++) {
@@ -498,47 +5017,36 @@ NOTES:
             switch (arg) {
                 case '-h':
                 case '--help':
-                    this.showHelp();
-                    process.exit(0);
-                    break;
+                    return { command: 'help' };
                     
                 case '--check-deps':
-                    await this.checkDependencies();
-                    console.log('✅ All dependencies are installed!');
-                    process.exit(0);
-                    break;
-                    
                 case '--list-audio':
-                    const devices = await this.getAudioDevices();
-                    console.log('🎵 Available audio devices:');
-                    devices.forEach((device, index) => {
-                        console.log(`  ${index + 1}. ${device}`);
-                    });
-                    process.exit(0);
-                    break;
-                    
                 case '--list-windows':
-                    const windows = await this.getApplications();
-                    console.log('🪟 Available windows:');
-                    windows.forEach((win, index) => {
-                        console.log(`  ${index + 1}. ${win.title} (${win.id})`);
-                    });
-                    process.exit(0);
+                case '--list-monitors':
+                    return { command: arg.slice(2) };
+
+                case '-m':
+                case '--monitor':
+                    configMonitor = false;
+                    if (i + 1 < args.length) {
+                        options.monitor = args[++i];
+                    }
                     break;
                     
                 case '-f':
                 case '--fullscreen':
                     // Default behavior
+                    sourceFlag();
                     break;
                     
                 case '-a':
                 case '--area':
+                    sourceFlag();
                     if (i + 1 < args.length) {
                         const coords = args[++i];
                         if (coords === 'select' || coords === 'slurp') {
                             // Interactive selection
                             options.area = { interactive: true };
-                            options.useSlurp = true;
                         } else {
                             // Manual coordinates
                             const coordArray = coords.split(',').map(Number);
@@ -554,23 +5062,227 @@ NOTES:
                     }
                     break;
                     
+                case '-w':
+                case '--window':
+                    sourceFlag();
+                    // Optional spec: select (click), a 0x window id, class:NAME or a title
+                    if (i + 1 < args.length && !args[i + 1].startsWith('-') &&
+                        ![...this.supportedVideoFormats, ...this.supportedImageFormats]
+                            .includes(path.extname(args[i + 1]).substring(1).toLowerCase())) {
+                        options.window = { spec: args[++i] };
+                    } else {
+                        options.window = { spec: 'select' };
+                    }
+                    break;
+
+                case '--follow-window':
+                    options.followWindow = true;
+                    break;
+                    
                 case '-A':
                 case '--audio':
+                    audioFlag();
                     options.recordAudio = true;
                     break;
                     
                 case '-I':
                 case '--internal':
+                    audioFlag();
                     options.recordAudio = true;
                     options.internalAudio = true;
                     break;
                     
                 case '-B':
                 case '--both-audio':
+                    audioFlag();
                     options.recordAudio = true;
                     options.internalAudio = true;
-                    // This would need more complex FFmpeg setup for mixing
-                    console.warn('⚠️  Both audio sources - may need manual audio device configuration');
+                    options.bothAudio = true;
+                    break;
+
+                case '--mic-volume':
+                case '--system-volume':
+                    if (i + 1 < args.length) {
+                        const volume = parseFloat(args[++i]);
+                        if (isNaN(volume) || volume < 0) {
+                            throw new Error(`Invalid volume for ${arg}: ${args[i]}`);
+                        }
+                        options[arg === '--mic-volume' ? 'micVolume' : 'systemVolume'] = volume;
+                    }
+                    break;
+
+                case '--profile':
+                    i++; // Read before the other flags
+                    break;
+
+                case '--output-dir':
+                    if (i + 1 < args.length) {
+                        options.outputDir = args[++i];
+                    }
+                    break;
+
+                case '--name-template':
+                    if (i + 1 < args.length) {
+                        options.nameTemplate = args[++i];
+                    }
+                    break;
+
+                case '--stream':
+                    if (i + 1 < args.length) {
+                        options.stream = args[++i];
+                    }
+                    break;
+
+                case '--stream-retries':
+                    options.streamRetries = Number(args[++i]);
+                    break;
+
+                case '--overlay':
+                case '--overlay-position':
+                case '--overlay-size':
+                case '--overlay-shape':
+                case '--overlay-border':
+                    if (i + 1 < args.length) {
+                        // --overlay-size to overlaySize
+                        options[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = args[++i];
+                    }
+                    break;
+
+                case '--screenshot':
+                    options.screenshot = true;
+                    break;
+
+                case '--timelapse':
+                    if (i + 1 < args.length) {
+                        options.timelapse = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+
+                case '--timelapse-fps':
+                    options.timelapseFps = Number(args[++i]);
+                    break;
+
+                case '--on-start':
+                case '--on-stop':
+                case '--on-finish':
+                    if (i + 1 < args.length) {
+                        options[{ '--on-start': 'onStart', '--on-stop': 'onStop', '--on-finish': 'onFinish' }[arg]] = args[++i];
+                    }
+                    break;
+
+                case '--notify':
+                    options.notify = true;
+                    break;
+
+                case '--title':
+                case '--comment':
+                    if (i + 1 < args.length) {
+                        options[arg.slice(2)] = args[++i];
+                    }
+                    break;
+
+                case '--tag': {
+                    const tag = /^([^=]+)=(.*)$/s.exec(args[++i] || '');
+                    if (!tag) {
+                        throw new Error(`Invalid --tag: ${args[i]} (use KEY=VALUE, e.g. artist=Jane)`);
+                    }
+                    options.tags = { ...options.tags, [tag[1]]: tag[2] };
+                    break;
+                }
+
+                case '--denoise':
+                    // Optional arnndn model file
+                    options.denoise = true;
+                    if (i + 1 < args.length && args[i + 1].endsWith('.rnnn')) {
+                        options.denoiseModel = args[++i];
+                    }
+                    break;
+
+                case '--noise-gate':
+                case '--normalize': {
+                    // Optional level, e.g. --noise-gate -45 or --normalize -14
+                    const key = arg === '--noise-gate' ? 'noiseGate' : 'normalize';
+                    options[key] = arg === '--noise-gate' ? -50 : -16;
+                    if (i + 1 < args.length && /^-\d+(\.\d+)?$/.test(args[i + 1])) {
+                        options[key] = parseFloat(args[++i]);
+                    }
+                    const { min, max } = CONFIG_KEYS[key];
+                    if (options[key] < min || options[key] > max) {
+                        throw new Error(`${arg} must be between ${min} and ${max}`);
+                    }
+                    break;
+                }
+
+                case '--stop-on-silence':
+                    if (i + 1 < args.length) {
+                        options.stopOnSilence = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+
+                case '--trim-start':
+                case '--trim-end':
+                    if (i + 1 < args.length) {
+                        options[arg === '--trim-start' ? 'trimStart' : 'trimEnd'] = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+
+                case '--thumbnail':
+                    // Optional time, otherwise a typical frame is picked
+                    options.thumbnail = true;
+                    if (i + 1 < args.length && /^[\d:.hms]+$/.test(args[i + 1])) {
+                        const time = args[++i];
+                        options.thumbnail = parseFloat(time) === 0 ? 0 : this.parseDuration(time, arg);
+                    }
+                    break;
+
+                case '--gif':
+                    options.gif = true;
+                    break;
+
+                case '--gif-width':
+                case '--gif-fps': {
+                    const value = Number(args[++i]);
+                    const [min, max] = arg === '--gif-width' ? [0, 4096] : [1, 50];
+                    if (!Number.isInteger(value) || value < min || value > max) {
+                        throw new Error(`${arg} must be a whole number from ${min} to ${max}`);
+                    }
+                    options[arg === '--gif-width' ? 'gifWidth' : 'gifFps'] = value;
+                    break;
+                }
+
+                case '--compress':
+                    if (i + 1 < args.length) {
+                        options.compress = this.parseSize(args[++i], arg);
+                    }
+                    break;
+
+                case '--compress-format':
+                    options.compressFormat = args[++i];
+                    if (!['mp4', 'webm'].includes(options.compressFormat)) {
+                        throw new Error(`Invalid --compress-format: ${options.compressFormat} (use mp4 or webm)`);
+                    }
+                    break;
+
+                case '--if-exists':
+                    if (i + 1 < args.length) {
+                        options.ifExists = args[++i];
+                    }
+                    break;
+
+                case '--audio-device':
+                    if (i + 1 < args.length) {
+                        options.audioDevice = args[++i];
+                    }
+                    break;
+
+                case '--audio-tracks':
+                    if (i + 1 < args.length) {
+                        const tracks = args[++i];
+                        if (tracks !== 'mix' && tracks !== 'separate') {
+                            throw new Error(`Invalid --audio-tracks value: ${tracks} (use mix or separate)`);
+                        }
+                        options.audioTracks = tracks;
+                    }
                     break;
                     
                 case '-r':
@@ -580,13 +5292,124 @@ NOTES:
                     }
                     break;
                     
+                case '-q':
+                case '--quality':
+                    if (i + 1 < args.length) {
+                        options.quality = args[++i];
+                    }
+                    break;
+
+                case '--codec':
+                case '--preset':
+                case '--audio-codec':
+                    if (i + 1 < args.length) {
+                        const key = { '--codec': 'codec', '--preset': 'preset', '--audio-codec': 'audioCodec' }[arg];
+                        options[key] = args[++i];
+                    }
+                    break;
+
+                case '--crf':
+                    if (i + 1 < args.length) {
+                        options.crf = Number(args[++i]);
+                    }
+                    break;
+
+                case '--bitrate':
+                case '--audio-bitrate':
+                    if (i + 1 < args.length) {
+                        const bitrate = args[++i];
+                        if (!/^\d+(\.\d+)?[kKmM]?$/.test(bitrate)) {
+                            throw new Error(`Invalid bitrate for ${arg}: ${bitrate} (e.g. 4M, 192k)`);
+                        }
+                        options[arg === '--bitrate' ? 'bitrate' : 'audioBitrate'] = bitrate;
+                    }
+                    break;
+                    
+                case '-d':
+                case '--duration':
+                    if (i + 1 < args.length) {
+                        options.duration = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+
+                case '--delay':
+                    if (i + 1 < args.length) {
+                        options.delay = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+
+                case '--start-at':
+                    if (i + 1 < args.length) {
+                        options.startAt = this.parseStartTime(args[++i]);
+                    }
+                    break;
+
+                case '--max-size':
+                    if (i + 1 < args.length) {
+                        options.maxSize = this.parseSize(args[++i], arg);
+                    }
+                    break;
+                    
+                case '--segment-time':
+                    if (i + 1 < args.length) {
+                        options.segmentTime = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+
+                case '--segment-size':
+                    if (i + 1 < args.length) {
+                        options.segmentSize = this.parseSize(args[++i], arg);
+                    }
+                    break;
+
+                case '--keep-segments':
+                    if (i + 1 < args.length) {
+                        options.keepSegments = parseInt(args[++i]);
+                        if (!(options.keepSegments > 0)) {
+                            throw new Error(`Invalid --keep-segments value: ${args[i]}`);
+                        }
+                    }
+                    break;
+
+                case '--min-free':
+                    if (i + 1 < args.length) {
+                        options.minFree = this.parseSize(args[++i], arg);
+                    }
+                    break;
+
+                case '--no-crash-safe':
+                    options.crashSafe = false;
+                    break;
+
+                case '--json':
+                    options.json = true;
+                    break;
+
+                case '--dry-run':
+                    options.dryRun = true;
+                    break;
+
+                case '--backend':
+                    if (i + 1 < args.length) {
+                        options.backend = args[++i];
+                    }
+                    break;
+
+                case '--replay':
+                    if (i + 1 < args.length) {
+                        options.replay = this.parseDuration(args[++i], arg);
+                    }
+                    break;
+                    
                 case '--audio-only':
+                    audioFlag();
                     options.audioOnly = true;
                     options.recordVideo = false;
                     options.recordAudio = true;
                     break;
                     
                 case '--internal-only':
+                    audioFlag();
                     options.audioOnly = true;
                     options.recordVideo = false;
                     options.recordAudio = true;
@@ -601,46 +5424,332 @@ NOTES:
             }
         }
 
-        // Set default output filename
-        if (!options.output) {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            if (options.audioOnly) {
-                options.output = `recording-${timestamp}.mp3`;
-            } else {
-                options.output = `recording-${timestamp}.mp4`;
+        // Screenshots and timelapses are silent, so the audio setting of the
+        // config doesn't apply to them
+        if ((options.screenshot || options.timelapse) && configAudio) {
+            Object.assign(options, { recordAudio: false, internalAudio: false, bothAudio: false });
+        }
+        return options;
+    }
+
+    // --json: one JSON object per line on stdout, ending with the summary
+    // that run() writes
+    printJsonEvents(emitter) {
+        const write = (event, data = {}) => this.writeJson(event, data);
+        emitter.on('start', ({ output, command }) => write('start', { output, command: this.maskCommand(command) }));
+        emitter.on('countdown', remaining => write('countdown', { remaining }));
+        emitter.on('progress', ({ frame, fps, bitrate, speed, time, size }) => {
+            write('progress', { frames: frame, fps, bitrate, speed, elapsed: time, bytes: size });
+        });
+        emitter.on('message', message => write('message', { message }));
+        emitter.on('warning', message => write('warning', { message }));
+        emitter.on('error', error => write('error', { message: error.message }));
+        emitter.on('paused', () => write('paused'));
+        emitter.on('resumed', () => write('resumed'));
+        emitter.on('marker', ({ time, label }) => write('marker', { label, elapsed: time }));
+        emitter.on('segment', ({ file }) => write('segment', { file }));
+        emitter.on('clip', ({ file }) => write('clip', { file }));
+        emitter.on('stopped', ({ output, duration, size, stopReason }) => write('stopped', { output, duration, bytes: size, stopReason }));
+        emitter.on('processed', ({ step, file, size }) => write('processed', { step, file, bytes: size }));
+    }
+
+    writeJson(event, data = {}) {
+        process.stdout.write(`${JSON.stringify({ event, time: new Date().toISOString(), ...data })}\n`);
+    }
+
+    // Quotes an argument so a printed command can be pasted into a shell
+    shellQuote(arg) {
+        return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+    }
+
+    async runDryRun(options, json) {
+        if (json) {
+            this.printJsonEvents(this);
+        } else {
+            this.printEvents(this);
+        }
+        const plan = await this.plan(options);
+        if (json) {
+            this.writeJson('plan', {
+                ...plan,
+                stream: plan.stream && this.maskStreamKeys(plan.stream),
+                commands: this.maskCommand(plan.commands)
+            });
+            this.writeJson('summary', { output: plan.output, exitCode: EXIT_CODES.ok });
+            return;
+        }
+
+        console.log('🧪 Dry run, nothing will be recorded');
+        if (plan.video) {
+            const { x, y, width, height } = plan.video.geometry || {};
+            const size = `${width}x${height}+${x}+${y}`;
+            const geometry = plan.video.geometry && !plan.video.source.includes(size) ? ` (${size})` : '';
+            const encoding = plan.video.codec ? `, ${plan.video.framerate} fps, ${plan.video.codec}` : '';
+            console.log(`🎥 Video: ${plan.video.source}${geometry} via ${plan.backend}${encoding}`);
+        }
+        if (plan.interval) {
+            console.log(`🎞️  A frame every ${plan.interval}s, played back at ${plan.video.framerate} fps`);
+        }
+        if (plan.audio) {
+            const sources = plan.audio.sources
+                .map(({ type, device, filters }) => `${type} (${[device, ...filters.map(filter => filter.split('=')[0])].join(', ')})`)
+                .join(', ');
+            const tracks = plan.audio.tracks ? `, ${plan.audio.tracks === 'mix' ? 'mixed' : 'separate tracks'}` : '';
+            console.log(`🎵 Audio: ${sources}${tracks}, ${plan.audio.codec}`);
+        }
+        if (plan.stream) {
+            console.log(`📡 Stream: ${this.maskStreamKeys(plan.stream)}`);
+        }
+        if (plan.output) {
+            console.log(`📁 Output: ${plan.output}${plan.mode === 'record' ? '' : ` (${plan.mode})`}`);
+        }
+        console.log('🔧 Command:');
+        plan.commands.forEach((stage, index) => {
+            console.log(`  ${index === 0 ? '$' : '|'} ${this.maskStreamKeys(stage.map(arg => this.shellQuote(arg)).join(' '))}`);
+        });
+        if (plan.postProcessing.length > 0) {
+            console.log(`🪄 Afterwards: ${plan.postProcessing.join(', ')}`);
+        }
+        if (plan.missingTools.length > 0) {
+            console.warn(`⚠️  Missing tools: ${plan.missingTools.join(', ')} (see: node recorder.js doctor)`);
+        }
+    }
+
+    // Maps a finished recording to the CLI's exit code
+    exitCodeFor(summary) {
+        if (summary.finalizeFailed) {
+            return EXIT_CODES.finalize;
+        }
+        if (summary.error && summary.error.exitCode) {
+            return summary.error.exitCode;
+        }
+        if (summary.error || summary.code !== 0) {
+            return EXIT_CODES.capture;
+        }
+        return summary.stopReason === 'disk-full' ? EXIT_CODES.diskFull : EXIT_CODES.ok;
+    }
+
+    // Prints the output of the informational flags
+    async runInfoCommand(command) {
+        switch (command) {
+            case 'help':
+                this.showHelp();
+                break;
+
+            case 'check-deps':
+                // Kept from before doctor existed
+                await this.runDoctor(false);
+                break;
+
+            case 'list-audio': {
+                const devices = await this.getAudioDevices();
+                if (devices.length === 0) {
+                    console.log('❌ No audio devices found (needs pactl or pw-dump and a running PulseAudio or PipeWire)');
+                    break;
+                }
+                for (const [title, type] of [['🎙️  Microphones:', 'input'], ['🔊 System audio:', 'monitor']]) {
+                    console.log(title);
+                    const group = devices.filter(device => device.type === type);
+                    if (group.length === 0) {
+                        console.log('  (none)');
+                    }
+                    group.forEach((device) => {
+                        console.log(`  ${device.index}. ${device.description} (${device.name})${device.default ? ' [default]' : ''}`);
+                    });
+                }
+                console.log('\n💡 Pick one with --audio-device NUMBER, a name or part of a description');
+                break;
+            }
+
+            case 'list-windows': {
+                const windows = await this.getApplications();
+                console.log('🪟 Available windows:');
+                windows.forEach((win, index) => {
+                    console.log(`  ${index + 1}. ${win.title} (${win.id}, ${win.wmClass}) ${win.width}x${win.height}+${win.x}+${win.y}`);
+                });
+                break;
+            }
+
+            case 'list-monitors': {
+                const monitors = await this.getMonitors();
+                console.log('🖥️  Available monitors:');
+                monitors.forEach((monitor, index) => {
+                    const primary = monitor.primary ? ', primary' : '';
+                    console.log(`  ${index + 1}. ${monitor.name} ${monitor.width}x${monitor.height}+${monitor.x}+${monitor.y} (scale ${monitor.scale}${primary})`);
+                });
+                break;
             }
         }
+    }
 
-        return options;
+    printMissingDependencies(missing) {
+        const install = this.installCommand(missing);
+        console.error(`\n❌ Missing dependencies: ${missing.join(', ')}`);
+        if (install) {
+            console.error(`📦 Install them with: ${install}`);
+        }
+        console.error('🩺 Run `lrec doctor` for details');
+    }
+
+    async runDoctor(json) {
+        const report = await this.diagnose();
+        process.exitCode = report.ok ? EXIT_CODES.ok : EXIT_CODES.dependencies;
+        if (json) {
+            console.log(JSON.stringify(report, null, 2));
+            return;
+        }
+
+        console.log(`🐧 ${report.distro.name}, ${report.session === 'wayland' ? 'Wayland' : 'X11'} session\n`);
+        console.log('🔧 Tools:');
+        for (const [name, tool] of Object.entries(report.tools)) {
+            const version = tool.version ? ` ${tool.version}` : '';
+            console.log(tool.found ? `  ✅ ${name}${version} (${tool.path})` : `  ❌ ${name} (not found)`);
+        }
+        console.log('\n🎬 Features:');
+        for (const { name, available, reason } of report.features) {
+            console.log(available ? `  ✅ ${name}` : `  ❌ ${name}: ${reason}`);
+        }
+        console.log('\n🎥 Backends (--backend):');
+        for (const backend of report.backends) {
+            const label = `${backend.name}${backend.default ? ' (default)' : ''} - ${backend.description}`;
+            console.log(backend.available ? `  ✅ ${label}: ${backend.modes.join(', ')}` : `  ❌ ${label}: ${backend.reason}`);
+        }
+
+        if (report.install) {
+            console.log(`\n📦 Install the missing tools with:\n  ${report.install}`);
+        } else if (report.missingTools.length > 0) {
+            console.log(`\n📦 Missing tools: ${report.missingTools.join(', ')}`);
+        }
+        console.log(report.ok ? '\n✅ Ready to record' : '\n❌ Recording is not possible until the required features are available');
     }
 
+    // The CLI: parses the arguments, then drives a recording through
+    // start() with keys, signals and the control socket
     async run() {
+        const json = process.argv.includes('--json');
         try {
-            console.log('🎬 Linux Screen Recorder CLI\n');
-            
-            await this.checkDependencies();
-            
-            const options = await this.parseArgs();
-            
-            // Validate output format
-            const format = this.getFileExtension(options.output);
-            if (options.recordVideo && !this.supportedVideoFormats.includes(format)) {
-                console.error(`❌ Unsupported video format: ${format}`);
-                console.error(`Supported formats: ${this.supportedVideoFormats.join(', ')}`);
-                process.exit(1);
+            const command = process.argv[2];
+            if (command === 'recover') {
+                this.printEvents(this);
+                await this.recoverRecordings(process.argv[3]);
+                return;
+            }
+            if (command === 'doctor') {
+                await this.runDoctor(json);
+                return;
+            }
+            if (command === 'convert') {
+                await this.runConvert(process.argv.slice(3), json);
+                return;
+            }
+            if (command === 'config') {
+                await this.runConfigCommand(process.argv.slice(3), json);
+                return;
+            }
+
+            // Client commands for a recording running in another process
+            if (['stop', 'status', 'pause', 'resume', 'toggle', 'save', 'mark'].includes(command)) {
+                // mark takes the rest of the arguments as its label
+                const data = command === 'mark' ? { label: process.argv.slice(3).join(' ') || null } : {};
+                await this.runControlCommand(command, data).catch((error) => {
+                    error.exitCode = EXIT_CODES.control;
+                    throw error;
+                });
+                return;
+            }
+
+            if (!json) {
+                console.log('🎬 Linux Screen Recorder CLI\n');
             }
             
-            if (options.audioOnly && !this.supportedAudioFormats.includes(format)) {
-                console.error(`❌ Unsupported audio format: ${format}`);
-                console.error(`Supported formats: ${this.supportedAudioFormats.join(', ')}`);
-                process.exit(1);
+            let parsed;
+            try {
+                parsed = this.parseArgs();
+            } catch (error) {
+                error.exitCode = EXIT_CODES.usage;
+                throw error;
+            }
+            if (parsed.command) {
+                await this.runInfoCommand(parsed.command);
+                return;
+            }
+
+            // A dry run lists missing tools in the plan instead
+            const missing = parsed.dryRun ? [] : await this.checkDependencies(parsed);
+            if (missing.length > 0) {
+                if (json) {
+                    const error = new Error(`Missing dependencies: ${missing.join(', ')}`);
+                    error.exitCode = EXIT_CODES.dependencies;
+                    throw error;
+                }
+                this.printMissingDependencies(missing);
+                process.exitCode = EXIT_CODES.dependencies;
+                return;
             }
 
-            await this.startRecording(options);
+            let options;
+            try {
+                options = this.normalizeOptions(parsed);
+            } catch (error) {
+                error.exitCode = EXIT_CODES.usage;
+                throw error;
+            }
+            if (options.dryRun) {
+                await this.runDryRun(options, json);
+                return;
+            }
+            const closeControlServer = await this.startControlServer().catch((error) => {
+                error.exitCode = EXIT_CODES.control;
+                throw error;
+            });
+            const handle = this.start(options);
+
+            if (json) {
+                this.printJsonEvents(handle);
+            } else {
+                this.printEvents(handle);
+                if (options.replay) {
+                    console.log(`🔁 Replay buffer: last ${options.replay}s`);
+                } else if (options.screenshot) {
+                    console.log('📸 Taking a screenshot...');
+                } else if (options.timelapse) {
+                    console.log(`🎞️  Timelapse: a frame every ${options.timelapse}s, played back at ${options.timelapseFps} fps`);
+                } else {
+                    console.log('🎬 Starting recording...');
+                    console.log(`🎥 Video: ${options.recordVideo ? '✅' : '❌'}`);
+                    console.log(`🎵 Audio: ${options.recordAudio ? '✅' : '❌'}`);
+                }
+                if (process.stdin.isTTY && !options.screenshot) {
+                    console.log(options.replay
+                        ? '⌨️  Press s or space to save a replay clip (or send SIGUSR1), q or Ctrl+C to stop\n'
+                        : '⌨️  Press p or space to pause/resume, m to add a marker, q or Ctrl+C to stop (SIGUSR1 pauses, SIGUSR2 resumes, SIGURG marks)\n');
+                }
+            }
+
+            const detachControls = this.attachControls(handle, Boolean(options.replay));
+            const runFinishHooks = this.attachHooks(handle, options, json);
+            let summary;
+            try {
+                summary = await handle.done;
+            } finally {
+                detachControls();
+                closeControlServer();
+            }
+            process.exitCode = this.exitCodeFor(summary);
+            await runFinishHooks(summary, process.exitCode);
+            if (json) {
+                const { code, error, finalizeFailed, ...result } = summary;
+                this.writeJson('summary', { ...result, exitCode: process.exitCode });
+            }
             
         } catch (error) {
-            console.error(`❌ Error: ${error.message}`);
-            process.exit(1);
+            process.exitCode = error.exitCode || EXIT_CODES.error;
+            if (json) {
+                this.writeJson('error', { message: error.message });
+                this.writeJson('summary', { exitCode: process.exitCode });
+            } else {
+                console.error(`❌ Error: ${error.message}`);
+            }
         }
     }
 }